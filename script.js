@@ -17,24 +17,226 @@ class ScheduleApp {
             startHour: 9,
             endHour: 22,
             pixelsPerHour: 300,
+            basePixelsPerHour: 300, // 100% zoom
+            minPixelsPerHour: 60,
+            maxPixelsPerHour: 1200,
+            compactBelow: 150,      // Below this, cards only show name and time
             snapMinutes: 5,
-            storageKey: 'timetable_state'
+            longPressMs: 350,
+            dragThreshold: 5,
+            autoScrollEdge: 48,
+            timeZone: 'Asia/Tokyo',
+            schemaVersion: 4, // Bump together with the default state's "version"
+            teamTypes: ['quartet', 'chorus', 'mixed'],
+            // Event branding; state.config.branding overrides any of these
+            branding: {
+                eventName: 'Sendai *Barbershop* Festival',
+                subtitle: '',
+                logo: '',
+                primaryColor: '#00b4d8',
+                secondaryColor: '#d97706',
+                backgroundStart: '#084c54',
+                backgroundEnd: '#021a1d',
+                headingFont: "'Abril Fatface', 'Noto Serif JP', cursive",
+                bodyFont: "'Roboto Slab', 'Noto Serif JP', serif"
+            },
+            storageKey: 'timetable_state',
+            historyKey: 'timetable_history',
+            zoomKey: 'timetable_zoom',
+            historyLimit: 50
         };
 
         // Default State
         this.state = {
+            "version": 4,
             "config": {
                 "startHour": 9,
                 "endHour": 22
             },
+            "days": [
+                {
+                    "id": "day-1",
+                    "name": "Day1"
+                },
+                {
+                    "id": "day-2",
+                    "name": "Day2"
+                }
+            ],
             "stages": [
                 {
                     "id": "stage-1",
-                    "name": "Day1"
+                    "dayId": "day-1",
+                    "name": "Main Stage"
                 },
                 {
                     "id": "stage-2",
-                    "name": "Day2"
+                    "dayId": "day-2",
+                    "name": "Main Stage"
+                }
+            ],
+            "teams": [
+                {
+                    "id": "team-ln21gm",
+                    "name": "Pioniere",
+                    "color": "#3b82f6",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-1mdbe0",
+                    "name": "Dream Quartet",
+                    "color": "#ff0000",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-wtharl",
+                    "name": "Orca Rhapsodia",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-1m99uw7",
+                    "name": "After Times",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-3c1ppy",
+                    "name": "Exits",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-1mcu1cn",
+                    "name": "Ultra L",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-128os15",
+                    "name": "Squash!",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-88ayrv",
+                    "name": "HanaYashiki",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-1ytigbx",
+                    "name": "Harmonix Junction",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-bc8ff5",
+                    "name": "Full City",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-v169vt",
+                    "name": "Sugarlight",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-bnqmfo",
+                    "name": "Snappy's",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-bwxh3i",
+                    "name": "Tokyo Vocal Express",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-4pftc2",
+                    "name": "Coiffeur",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-tj2r4z",
+                    "name": "Malwoofer",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-rgq5qh",
+                    "name": "しなもん",
+                    "color": "#10b981",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-wiz7nw",
+                    "name": "Vocal Tompectrum",
+                    "color": "#8b5cf6",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-sdb1h",
+                    "name": "渡邉歌劇団",
+                    "color": "#8b5cf6",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-yjl5dx",
+                    "name": "F.F.",
+                    "color": "#8b5cf6",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-14qn5fd",
+                    "name": "Hamo Hamo Mix",
+                    "color": "#f59e0b",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-12nkfku",
+                    "name": "Brens Beats Quartet",
+                    "color": "#f59e0b",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-qn4z8e",
+                    "name": "ちゃるめら企画",
+                    "color": "#3b82f6",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-fahgjy",
+                    "name": "うなぎやカルテット",
+                    "color": "#3b82f6",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-94f7dw",
+                    "name": "Blends Beats Quartet",
+                    "color": "#6b7280",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-a71iyg",
+                    "name": "東北大B1(仮)",
+                    "color": "#6b7280",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-kpg4zk",
+                    "name": "Vagabonds",
+                    "color": "#6b7280",
+                    "type": "quartet"
+                },
+                {
+                    "id": "team-4pg6de",
+                    "name": "Coiffuer",
+                    "color": "#6b7280",
+                    "type": "quartet"
                 }
             ],
             "acts": [
@@ -45,543 +247,617 @@ class ScheduleApp {
                     "startTime": "10:45",
                     "endTime": "11:30",
                     "color": "#3b82f6",
-                    "category": "Pioniere"
+                    "teamIds": [
+                        "team-ln21gm"
+                    ]
                 },
                 {
                     "id": "act-1767264350836",
                     "stageId": "stage-1",
                     "name": "Dream Quartet練習会",
-                    "category": "Dream Quartet",
                     "startTime": "12:00",
                     "endTime": "13:30",
-                    "color": "#ff0000"
+                    "color": "#ff0000",
+                    "teamIds": [
+                        "team-1mdbe0"
+                    ]
                 },
                 {
                     "id": "act-1767264392253",
                     "stageId": "stage-1",
                     "name": "Dream Quartet練習会②",
-                    "category": "Dream Quartet",
                     "startTime": "13:30",
                     "endTime": "15:00",
-                    "color": "#ff0000"
+                    "color": "#ff0000",
+                    "teamIds": [
+                        "team-1mdbe0"
+                    ]
                 },
                 {
                     "id": "act-1767264445479",
                     "stageId": "stage-1",
                     "name": "OPコーラス全体合わせ",
-                    "category": "Pioniere, Orca Rhapsodia, After Times, Exits, Ultra L, Squash!, HanaYashiki, Harmonix Junction, Full City, Sugarlight, Snappy's, Tokyo Vocal Express, Coiffeur, Malwoofer, しなもん",
                     "startTime": "15:30",
                     "endTime": "16:00",
-                    "color": "#10b981"
+                    "color": "#10b981",
+                    "teamIds": [
+                        "team-ln21gm",
+                        "team-wtharl",
+                        "team-1m99uw7",
+                        "team-3c1ppy",
+                        "team-1mcu1cn",
+                        "team-128os15",
+                        "team-88ayrv",
+                        "team-1ytigbx",
+                        "team-bc8ff5",
+                        "team-v169vt",
+                        "team-bnqmfo",
+                        "team-bwxh3i",
+                        "team-4pftc2",
+                        "team-tj2r4z",
+                        "team-rgq5qh"
+                    ]
                 },
                 {
                     "id": "act-1767265793673",
                     "stageId": "stage-1",
                     "name": "第1ステージ SBF Showcase",
-                    "category": "Vocal Tompectrum, Exits, Orca Rhapsodia, Squash!, 渡邉歌劇団, Ultra L, F.F.",
                     "startTime": "18:32",
                     "endTime": "19:10",
-                    "color": "#8b5cf6"
+                    "color": "#8b5cf6",
+                    "teamIds": [
+                        "team-wiz7nw",
+                        "team-3c1ppy",
+                        "team-wtharl",
+                        "team-128os15",
+                        "team-sdb1h",
+                        "team-1mcu1cn",
+                        "team-yjl5dx"
+                    ]
                 },
                 {
                     "id": "act-1767265903313",
                     "stageId": "stage-1",
                     "name": "第2ステージ　Mixed&College",
-                    "category": "Harmonix Junction, Hamo Hamo Mix, Sugarlight, Brens Beats Quartet, HanaYashiki, Full City",
                     "startTime": "19:10",
                     "endTime": "19:56",
-                    "color": "#f59e0b"
+                    "color": "#f59e0b",
+                    "teamIds": [
+                        "team-1ytigbx",
+                        "team-14qn5fd",
+                        "team-v169vt",
+                        "team-12nkfku",
+                        "team-88ayrv",
+                        "team-bc8ff5"
+                    ]
                 },
                 {
                     "id": "act-1767266014354",
                     "stageId": "stage-1",
                     "name": "第3ステージ New Quartet",
-                    "category": "Snappy's, ちゃるめら企画, うなぎやカルテット",
                     "startTime": "20:11",
                     "endTime": "20:55",
-                    "color": "#3b82f6"
+                    "color": "#3b82f6",
+                    "teamIds": [
+                        "team-bnqmfo",
+                        "team-qn4z8e",
+                        "team-fahgjy"
+                    ]
                 },
                 {
                     "id": "act-1767266064720",
                     "stageId": "stage-1",
                     "name": "第4ステージ　Chorus Stage",
-                    "category": "Pioniere, Tokyo Vocal Express",
                     "startTime": "20:55",
                     "endTime": "21:15",
-                    "color": "#ec4899"
+                    "color": "#ec4899",
+                    "teamIds": [
+                        "team-ln21gm",
+                        "team-bwxh3i"
+                    ]
                 },
                 {
                     "id": "act-1768392426956",
                     "stageId": "stage-2",
                     "name": "Dream Quartet発表会@戦災復興記念館",
-                    "category": "Dream Quartet",
                     "startTime": "13:00",
                     "endTime": "15:00",
-                    "color": "#f73b45"
+                    "color": "#f73b45",
+                    "teamIds": [
+                        "team-1mdbe0"
+                    ]
                 },
                 {
                     "id": "act-1768392481261",
                     "stageId": "stage-2",
                     "name": "OP, EDコーラス練習",
-                    "category": "Pioniere, Orca Rhapsodia, After Times, Exits, Ultra L, Squash!, HanaYashiki, Harmonix Junction, Full City, Sugarlight, Snappy's, Tokyo Vocal Express",
                     "startTime": "15:00",
                     "endTime": "16:00",
-                    "color": "#f59e0b"
+                    "color": "#f59e0b",
+                    "teamIds": [
+                        "team-ln21gm",
+                        "team-wtharl",
+                        "team-1m99uw7",
+                        "team-3c1ppy",
+                        "team-1mcu1cn",
+                        "team-128os15",
+                        "team-88ayrv",
+                        "team-1ytigbx",
+                        "team-bc8ff5",
+                        "team-v169vt",
+                        "team-bnqmfo",
+                        "team-bwxh3i"
+                    ]
                 },
                 {
                     "id": "act-1768392675314",
                     "stageId": "stage-2",
                     "name": "開演・挨拶",
-                    "category": "Pioniere, Orca Rhapsodia, After Times, Exits, Ultra L, Squash!, HanaYashiki, Harmonix Junction, Full City, Sugarlight, Snappy's, Tokyo Vocal Express, Coiffeur, Malwoofer",
                     "startTime": "18:30",
                     "endTime": "18:45",
-                    "color": "#10b981"
+                    "color": "#10b981",
+                    "teamIds": [
+                        "team-ln21gm",
+                        "team-wtharl",
+                        "team-1m99uw7",
+                        "team-3c1ppy",
+                        "team-1mcu1cn",
+                        "team-128os15",
+                        "team-88ayrv",
+                        "team-1ytigbx",
+                        "team-bc8ff5",
+                        "team-v169vt",
+                        "team-bnqmfo",
+                        "team-bwxh3i",
+                        "team-4pftc2",
+                        "team-tj2r4z"
+                    ]
                 }
             ],
             "members": [
                 {
                     "id": "mem-1768373600342",
                     "name": "あさの",
-                    "teams": [
-                        "渡邉歌劇団",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-sdb1h",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768372678177",
                     "name": "ふみちゃん",
-                    "teams": [
-                        "F.F.",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-yjl5dx",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768373837687",
                     "name": "ふなけん",
-                    "teams": [
-                        "Harmonix Junction",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-1ytigbx",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768373765425",
                     "name": "ハルヒ",
-                    "teams": [
-                        "Harmonix Junction",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-1ytigbx",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768373735337",
                     "name": "ひかる",
-                    "teams": [
-                        "渡邉歌劇団",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-sdb1h",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768372693834",
                     "name": "到",
-                    "teams": [
-                        "F.F.",
-                        "Pioniere",
-                        "Full City"
+                    "teamIds": [
+                        "team-yjl5dx",
+                        "team-ln21gm",
+                        "team-bc8ff5"
                     ]
                 },
                 {
                     "id": "mem-1768373677681",
                     "name": "泉",
-                    "teams": [
-                        "渡邉歌劇団",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-sdb1h",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768373785598",
                     "name": "Junk",
-                    "teams": [
-                        "Harmonix Junction",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-1ytigbx",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768372135638",
                     "name": "かとぱい",
-                    "teams": [
-                        "Vocal Tompectrum",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-wiz7nw",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768372661898",
                     "name": "シャイニー",
-                    "teams": [
-                        "F.F.",
-                        "Pioniere",
-                        "Sugarlight"
+                    "teamIds": [
+                        "team-yjl5dx",
+                        "team-ln21gm",
+                        "team-v169vt"
                     ]
                 },
                 {
                     "id": "mem-1768372633183",
                     "name": "てんぴー",
-                    "teams": [
-                        "Vocal Tompectrum",
-                        "Pioniere",
-                        "Blends Beats Quartet",
-                        "Hamo Hamo Mix",
-                        "Full City"
+                    "teamIds": [
+                        "team-wiz7nw",
+                        "team-ln21gm",
+                        "team-94f7dw",
+                        "team-14qn5fd",
+                        "team-bc8ff5"
                     ]
                 },
                 {
                     "id": "mem-1768372180638",
                     "name": "おぼぼ",
-                    "teams": [
-                        "Vocal Tompectrum",
-                        "Pioniere",
-                        "Sugarlight"
+                    "teamIds": [
+                        "team-wiz7nw",
+                        "team-ln21gm",
+                        "team-v169vt"
                     ]
                 },
                 {
                     "id": "mem-1768372578749",
                     "name": "yst",
-                    "teams": [
-                        "Vocal Tompectrum",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-wiz7nw",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768373689529",
                     "name": "ざと",
-                    "teams": [
-                        "渡邉歌劇団",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-sdb1h",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768374528293",
                     "name": "せびー",
-                    "teams": [
-                        "Orca Rhapsodia",
-                        "Blends Beats Quartet"
+                    "teamIds": [
+                        "team-wtharl",
+                        "team-94f7dw"
                     ]
                 },
                 {
                     "id": "mem-1768374543476",
                     "name": "ねーさん",
-                    "teams": [
-                        "Orca Rhapsodia",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-wtharl",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768374562344",
                     "name": "なるなる",
-                    "teams": [
-                        "Orca Rhapsodia"
+                    "teamIds": [
+                        "team-wtharl"
                     ]
                 },
                 {
                     "id": "mem-1768374597584",
                     "name": "べみ",
-                    "teams": [
-                        "Orca Rhapsodia",
-                        "Blends Beats Quartet"
+                    "teamIds": [
+                        "team-wtharl",
+                        "team-94f7dw"
                     ]
                 },
                 {
                     "id": "mem-1768374693973",
                     "name": "ちゃるめら",
-                    "teams": [
-                        "After Times",
-                        "ちゃるめら企画"
+                    "teamIds": [
+                        "team-1m99uw7",
+                        "team-qn4z8e"
                     ]
                 },
                 {
                     "id": "mem-1768374765055",
                     "name": "コバック",
-                    "teams": [
-                        "After Times"
+                    "teamIds": [
+                        "team-1m99uw7"
                     ]
                 },
                 {
                     "id": "mem-1768374777890",
                     "name": "まーちん",
-                    "teams": [
-                        "After Times"
+                    "teamIds": [
+                        "team-1m99uw7"
                     ]
                 },
                 {
                     "id": "mem-1768374790201",
                     "name": "ひでひで",
-                    "teams": [
-                        "After Times"
+                    "teamIds": [
+                        "team-1m99uw7"
                     ]
                 },
                 {
                     "id": "mem-1768374828449",
                     "name": "Joe",
-                    "teams": [
-                        "F.F.",
-                        "Pioniere",
-                        "Hamo Hamo Mix"
+                    "teamIds": [
+                        "team-yjl5dx",
+                        "team-ln21gm",
+                        "team-14qn5fd"
                     ]
                 },
                 {
                     "id": "mem-1768392966002",
                     "name": "ハルキ",
-                    "teams": [
-                        "東北大B1(仮)"
+                    "teamIds": [
+                        "team-a71iyg"
                     ]
                 },
                 {
                     "id": "mem-1768392973394",
                     "name": "たかひと",
-                    "teams": [
-                        "東北大B1(仮)"
+                    "teamIds": [
+                        "team-a71iyg"
                     ]
                 },
                 {
                     "id": "mem-1768392984651",
                     "name": "円谷",
-                    "teams": [
-                        "東北大B1(仮)"
+                    "teamIds": [
+                        "team-a71iyg"
                     ]
                 },
                 {
                     "id": "mem-1768393037914",
                     "name": "昆野",
-                    "teams": [
-                        "Harmonix Junction"
+                    "teamIds": [
+                        "team-1ytigbx"
                     ]
                 },
                 {
                     "id": "mem-1768393078066",
                     "name": "いわみず",
-                    "teams": [
-                        "Exits"
+                    "teamIds": [
+                        "team-3c1ppy"
                     ]
                 },
                 {
                     "id": "mem-1768393087566",
                     "name": "出口",
-                    "teams": [
-                        "Exits"
+                    "teamIds": [
+                        "team-3c1ppy"
                     ]
                 },
                 {
                     "id": "mem-1768393166438",
                     "name": "ニック",
-                    "teams": [
-                        "Squash!",
-                        "Exits"
+                    "teamIds": [
+                        "team-128os15",
+                        "team-3c1ppy"
                     ]
                 },
                 {
                     "id": "mem-1768393178554",
                     "name": "ひろむ",
-                    "teams": [
-                        "Squash!"
+                    "teamIds": [
+                        "team-128os15"
                     ]
                 },
                 {
                     "id": "mem-1768393204719",
                     "name": "らじえる",
-                    "teams": [
-                        "Squash!"
+                    "teamIds": [
+                        "team-128os15"
                     ]
                 },
                 {
                     "id": "mem-1768393222666",
                     "name": "Daiki",
-                    "teams": [
-                        "Squash!"
+                    "teamIds": [
+                        "team-128os15"
                     ]
                 },
                 {
                     "id": "mem-1768393268170",
                     "name": "Teru",
-                    "teams": [
-                        "Vagabonds"
+                    "teamIds": [
+                        "team-kpg4zk"
                     ]
                 },
                 {
                     "id": "mem-1768393275059",
                     "name": "さとあつ",
-                    "teams": [
-                        "Vagabonds"
+                    "teamIds": [
+                        "team-kpg4zk"
                     ]
                 },
                 {
                     "id": "mem-1768393287393",
                     "name": "けんと",
-                    "teams": [
-                        "Vagabonds"
+                    "teamIds": [
+                        "team-kpg4zk"
                     ]
                 },
                 {
                     "id": "mem-1768393298941",
                     "name": "シイナ",
-                    "teams": [
-                        "Vagabonds"
+                    "teamIds": [
+                        "team-kpg4zk"
                     ]
                 },
                 {
                     "id": "mem-1768393327711",
                     "name": "はまはま",
-                    "teams": [
-                        "Ultra L"
+                    "teamIds": [
+                        "team-1mcu1cn"
                     ]
                 },
                 {
                     "id": "mem-1768393346495",
                     "name": "Marina",
-                    "teams": [
-                        "Ultra L"
+                    "teamIds": [
+                        "team-1mcu1cn"
                     ]
                 },
                 {
                     "id": "mem-1768393355658",
                     "name": "とくちゃん",
-                    "teams": [
-                        "Ultra L"
+                    "teamIds": [
+                        "team-1mcu1cn"
                     ]
                 },
                 {
                     "id": "mem-1768393369766",
                     "name": "めろこ",
-                    "teams": [
-                        "Ultra L",
-                        "Tokyo Vocal Express"
+                    "teamIds": [
+                        "team-1mcu1cn",
+                        "team-bwxh3i"
                     ]
                 },
                 {
                     "id": "mem-1768393406727",
                     "name": "清水",
-                    "teams": [
-                        "HanaYashiki"
+                    "teamIds": [
+                        "team-88ayrv"
                     ]
                 },
                 {
                     "id": "mem-1768393438849",
                     "name": "やっしー",
-                    "teams": [
-                        "HanaYashiki"
+                    "teamIds": [
+                        "team-88ayrv"
                     ]
                 },
                 {
                     "id": "mem-1768393570936",
                     "name": "花岡",
-                    "teams": [
-                        "HanaYashiki"
+                    "teamIds": [
+                        "team-88ayrv"
                     ]
                 },
                 {
                     "id": "mem-1768393615589",
                     "name": "のっぺ",
-                    "teams": [
-                        "Hamo Hamo Mix",
-                        "Full City",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-14qn5fd",
+                        "team-bc8ff5",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768393619711",
                     "name": "富田",
-                    "teams": [
-                        "Full City"
+                    "teamIds": [
+                        "team-bc8ff5"
                     ]
                 },
                 {
                     "id": "mem-1768393741589",
                     "name": "ほのか",
-                    "teams": [
-                        "しなもん"
+                    "teamIds": [
+                        "team-rgq5qh"
                     ]
                 },
                 {
                     "id": "mem-1768393751961",
                     "name": "ななこ",
-                    "teams": [
-                        "しなもん"
+                    "teamIds": [
+                        "team-rgq5qh"
                     ]
                 },
                 {
                     "id": "mem-1768393768076",
                     "name": "かのん",
-                    "teams": [
-                        "しなもん"
+                    "teamIds": [
+                        "team-rgq5qh"
                     ]
                 },
                 {
                     "id": "mem-1768393780342",
                     "name": "このは",
-                    "teams": [
-                        "しなもん"
+                    "teamIds": [
+                        "team-rgq5qh"
                     ]
                 },
                 {
                     "id": "mem-1768393846589",
                     "name": "えっこ",
-                    "teams": [
-                        "Snappy's",
-                        "Tokyo Vocal Express"
+                    "teamIds": [
+                        "team-bnqmfo",
+                        "team-bwxh3i"
                     ]
                 },
                 {
                     "id": "mem-1768393853977",
                     "name": "みちゃこ",
-                    "teams": [
-                        "Snappy's"
+                    "teamIds": [
+                        "team-bnqmfo"
                     ]
                 },
                 {
                     "id": "mem-1768393926763",
                     "name": "ゆいてぃん",
-                    "teams": [
-                        "Pioniere"
+                    "teamIds": [
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768393981074",
                     "name": "みっちー",
-                    "teams": [
-                        "Coiffuer"
+                    "teamIds": [
+                        "team-4pg6de"
                     ]
                 },
                 {
                     "id": "mem-1768394007773",
                     "name": "たっきー",
-                    "teams": [
-                        "Coiffeur"
+                    "teamIds": [
+                        "team-4pftc2"
                     ]
                 },
                 {
                     "id": "mem-1768394120128",
                     "name": "純",
-                    "teams": [
-                        "Coiffuer"
+                    "teamIds": [
+                        "team-4pg6de"
                     ]
                 },
                 {
                     "id": "mem-1768394131555",
                     "name": "もじゃ",
-                    "teams": [
-                        "Coiffuer"
+                    "teamIds": [
+                        "team-4pg6de"
                     ]
                 },
                 {
                     "id": "mem-1768394151054",
                     "name": "おかちゃん",
-                    "teams": [
-                        "Tokyo Vocal Express",
-                        "Pioniere"
+                    "teamIds": [
+                        "team-bwxh3i",
+                        "team-ln21gm"
                     ]
                 },
                 {
                     "id": "mem-1768394188421",
                     "name": "うなぎや",
-                    "teams": [
-                        "うなぎやカルテット"
+                    "teamIds": [
+                        "team-fahgjy"
                     ]
                 }
             ]
@@ -590,43 +866,123 @@ class ScheduleApp {
         // Cache DOM Elements
         this.dom = {
             timeLabels: document.getElementById('time-labels'),
+            dayTabs: document.getElementById('day-tabs'),
+            liveBanner: document.getElementById('live-banner'),
             stagesContainer: document.getElementById('stages-container'),
             modals: {
                 edit: document.getElementById('edit-modal'),
                 settings: document.getElementById('settings-modal'),
+                day: document.getElementById('day-modal'),
+                stage: document.getElementById('stage-modal'),
+                conflicts: document.getElementById('conflicts-modal'),
+                publish: document.getElementById('publish-modal'),
+                import: document.getElementById('import-modal'),
+                csv: document.getElementById('csv-modal'),
                 teamExport: document.getElementById('team-export-modal'),
                 members: document.getElementById('members-modal'),
-                individualExport: document.getElementById('individual-export-modal')
+                teams: document.getElementById('teams-modal'),
+                individualExport: document.getElementById('individual-export-modal'),
+                pdf: document.getElementById('pdf-modal'),
+                batchExport: document.getElementById('batch-export-modal'),
+                bulkTeams: document.getElementById('bulk-teams-modal'),
+                ripple: document.getElementById('ripple-modal')
             },
             forms: {
                 act: document.getElementById('act-form'),
                 settings: document.getElementById('settings-form'),
+                day: document.getElementById('day-form'),
+                stage: document.getElementById('stage-form'),
                 teamExport: document.getElementById('team-export-form'),
                 member: document.getElementById('add-member-form'),
+                team: document.getElementById('team-form'),
+                bulkTeams: document.getElementById('bulk-teams-form'),
+                ripple: document.getElementById('ripple-form'),
                 individualExport: document.getElementById('individual-export-form')
             },
             buttons: {
                 addAct: document.getElementById('add-act-btn'),
                 addStage: document.getElementById('add-stage-btn'),
                 members: document.getElementById('manage-members-btn'),
+                teams: document.getElementById('manage-teams-btn'),
+                conflicts: document.getElementById('conflicts-btn'),
+                publish: document.getElementById('publish-btn'),
+                csv: document.getElementById('csv-btn'),
                 export: document.getElementById('export-btn'),
                 exportTeam: document.getElementById('export-team-btn'),
                 exportMember: document.getElementById('export-member-btn'),
+                pdf: document.getElementById('export-pdf-btn'),
+                batchExport: document.getElementById('export-batch-btn'),
                 settings: document.getElementById('settings-btn'),
                 save: document.getElementById('save-project-btn'),
                 load: document.getElementById('load-project-btn'),
-                reset: document.getElementById('reset-btn')
+                reset: document.getElementById('reset-btn'),
+                undo: document.getElementById('undo-btn'),
+                redo: document.getElementById('redo-btn')
             },
             inputs: {
-                upload: document.getElementById('project-upload')
+                upload: document.getElementById('project-upload'),
+                csvUpload: document.getElementById('csv-upload')
             }
         };
 
-        this.dragState = {
-            actId: null,
-            offsetY: 0
+        // Settings form inputs for each branding field (the logo is handled separately)
+        this.brandingInputs = {
+            eventName: 'branding-name',
+            subtitle: 'branding-subtitle',
+            primaryColor: 'branding-primary',
+            secondaryColor: 'branding-secondary',
+            backgroundStart: 'branding-bg-start',
+            backgroundEnd: 'branding-bg-end',
+            headingFont: 'branding-heading-font',
+            bodyFont: 'branding-body-font'
+        };
+
+        // Schema migrations, keyed by the version they upgrade from
+        this.migrations = {
+            1: (data) => this.migrateDays(data),
+            2: (data) => this.migrateTeams(data),
+            3: (data) => this.migrateOvernight(data)
+        };
+
+        // Day currently shown in the grid
+        this.currentDayId = null;
+
+        // Live mode: clock can be simulated for rehearsals
+        this.live = {
+            active: false,
+            timer: null,
+            simulatedStart: null, // Date the simulated clock started at
+            startedAt: 0,         // Real timestamp when the simulation started
+            speed: 1,
+            lastUserScroll: 0,
+            followDay: true       // Cleared when the user picks a day tab
+        };
+
+        // Public view: team/member whose acts are highlighted
+        this.viewFilter = {
+            team: '',
+            member: '',
+            hideOthers: false
         };
 
+        this.dragState = null;
+
+        // Multi-select and copy/paste
+        this.selection = new Set();
+        this.clipboard = [];
+        this.pointer = null; // Last pointer position over the grid, for pasting
+
+        // Open modals, innermost last, with the element to refocus on close
+        this.modalStack = [];
+
+        // Undo/Redo: each entry holds the serialized state before a change
+        this.history = {
+            past: [],
+            future: []
+        };
+        this.staleHistory = false; // Saved data was upgraded or set aside, so its undo history is unusable
+        this.lastSnapshot = null;
+
         this.init();
     }
 
@@ -634,8 +990,12 @@ class ScheduleApp {
         console.log('Initializing Schedule App...');
         await this.loadState();
         this.applyConfig();
+        this.loadHistory();
+        this.loadZoom();
         this.renderAll();
         this.checkReadOnly();
+        this.initLive();
+        this.initZoom();
         this.bindEvents();
         console.log('Initialization Complete.');
     }
@@ -648,21 +1008,42 @@ class ScheduleApp {
         this.isReadOnly = urlParams.get('view') === 'public';
 
         if (this.isReadOnly) {
+            let loaded = false;
             try {
                 const res = await fetch('./schedule.json');
                 if (res.ok) {
-                    const json = await res.json();
-                    this.state = { ...this.state, ...json };
+                    const { data, errors, fatal } = this.prepareProject(await res.json());
+                    if (fatal) throw new Error(errors.join('\n'));
+                    if (errors.length) console.warn(`Read-only: schedule.json has problems:\n${errors.join('\n')}`);
+                    this.dropInvalidActs(data);
+                    data.acts = data.acts.filter(act => !this.isPrivateAct(act));
+                    this.state = { ...this.state, members: [], teams: [], ...data };
+                    loaded = true;
                 }
             } catch (e) {
                 console.warn('Read-only: Failed to load schedule.json', e);
             }
+            // Never fall back to the built-in members, private acts or contacts in public
+            if (!loaded) this.state = { ...this.state, ...this.buildPublicSchedule() };
         } else {
             // Local Storage
             const saved = localStorage.getItem(this.CONFIG.storageKey);
             if (saved) {
                 try {
-                    const parsed = JSON.parse(saved);
+                    const { data: parsed, errors, fatal, migrated } = this.prepareProject(JSON.parse(saved));
+                    if (fatal) {
+                        // Keep the unreadable data so the next save doesn't destroy it
+                        localStorage.setItem(`${this.CONFIG.storageKey}_unreadable`, saved);
+                        this.staleHistory = true;
+                        alert(`Saved data could not be loaded and was set aside:\n${this.formatErrors(errors)}`);
+                        return;
+                    }
+                    this.staleHistory = migrated;
+                    const dropped = this.dropInvalidActs(parsed);
+                    if (errors.length) {
+                        const note = dropped ? `${dropped} act(s) were left out` : 'Some items may not show';
+                        alert(`Saved data has problems. ${note}:\n${this.formatErrors(errors)}`);
+                    }
                     // Merge deeply to ensure new fields are present if missing in save
                     this.state = {
                         ...this.state,
@@ -671,6 +1052,8 @@ class ScheduleApp {
                     };
                     // Ensure arrays exist
                     if (!this.state.members) this.state.members = [];
+                    if (!this.state.teams) this.state.teams = [];
+                    if (!this.state.days) this.state.days = [];
                     if (!this.state.stages) this.state.stages = [];
                     if (!this.state.acts) this.state.acts = [];
                 } catch (e) {
@@ -680,604 +1063,3703 @@ class ScheduleApp {
         }
     }
 
-    saveState() {
-        if (this.isReadOnly) return;
-        this.state.config.startHour = this.CONFIG.startHour;
-        this.state.config.endHour = this.CONFIG.endHour;
-        localStorage.setItem(this.CONFIG.storageKey, JSON.stringify(this.state));
-    }
+    // --- Schema ---
 
-    applyConfig() {
-        if (this.state.config) {
-            this.CONFIG.startHour = this.state.config.startHour;
-            this.CONFIG.endHour = this.state.config.endHour;
+    /**
+     * Upgrades a parsed project to the current schema version and validates it.
+     * Returns { data, errors, fatal, migrated }; `errors` lists every problem
+     * found. With `fatal`, `data` could not be read at all and must not be used.
+     */
+    prepareProject(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { data: raw, errors: ['Not a project file.'], fatal: true };
         }
-    }
 
-    checkReadOnly() {
-        if (this.isReadOnly) {
-            document.body.classList.add('read-only');
+        const version = raw.version || 1;
+        if (!Number.isInteger(version) || version < 1) {
+            return { data: raw, errors: [`Unknown schema version "${raw.version}".`], fatal: true };
+        }
+        if (version > this.CONFIG.schemaVersion) {
+            return { data: raw, errors: [`Saved by a newer editor (schema ${version}, this editor supports ${this.CONFIG.schemaVersion}).`], fatal: true };
         }
-    }
-
-    // --- Rendering ---
 
-    renderAll() {
-        this.renderTimeLabels();
-        this.renderStages();
-        this.renderActs();
-    }
+        let data = raw;
+        for (let v = version; v < this.CONFIG.schemaVersion; v++) {
+            data = this.migrations[v](data);
+            data.version = v + 1;
+        }
 
-    renderTimeLabels() {
-        const container = this.dom.timeLabels;
-        container.innerHTML = '';
-        const totalHours = this.CONFIG.endHour - this.CONFIG.startHour;
-        const totalHeight = totalHours * this.CONFIG.pixelsPerHour;
+        // Optional parts get defaults
+        data.config = { startHour: this.CONFIG.startHour, endHour: this.CONFIG.endHour, ...data.config };
+        if (data.members === undefined) data.members = [];
+        if (data.teams === undefined) data.teams = [];
 
-        // Parent container height needs to match
-        // But time-axis-container is sticky. The content inside needs height.
-        container.style.height = `${totalHeight}px`;
+        // Callers drop undo history recorded against the old schema
+        return { data, errors: this.validateProject(data), migrated: version < this.CONFIG.schemaVersion };
+    }
 
-        for (let h = 0; h <= totalHours; h++) {
-            const hour = this.CONFIG.startHour + h;
-            const el = document.createElement('div');
-            el.className = 'time-marker';
-            el.style.top = `${h * this.CONFIG.pixelsPerHour}px`;
-            el.textContent = `${hour}:00`;
-            container.appendChild(el);
-        }
+    formatErrors(errors, limit = 15) {
+        const lines = errors.slice(0, limit).map(e => `- ${e}`);
+        if (errors.length > limit) lines.push(`...and ${errors.length - limit} more`);
+        return lines.join('\n');
     }
 
-    renderStages() {
-        const container = this.dom.stagesContainer;
-        container.innerHTML = '';
-        const totalHeight = (this.CONFIG.endHour - this.CONFIG.startHour) * this.CONFIG.pixelsPerHour;
+    /**
+     * Schema 1 -> 2: projects saved before days existed used each stage as a day.
+     * Turns every such stage into a day holding a single stage.
+     */
+    migrateDays(data) {
+        if (!data || !Array.isArray(data.stages) || data.days) return data;
 
-        this.state.stages.forEach(stage => {
-            const col = document.createElement('div');
-            col.className = 'stage-column';
-            col.id = stage.id;
-            col.style.height = `${totalHeight}px`;
+        data.days = data.stages.map(stage => ({
+            id: `day-${stage.id}`,
+            name: stage.name,
+            ...(stage.date ? { date: stage.date } : {})
+        }));
+        data.stages = data.stages.map(stage => ({
+            id: stage.id,
+            dayId: `day-${stage.id}`,
+            name: stage.venue || 'Main Stage'
+        }));
+        return data;
+    }
 
-            const header = document.createElement('div');
-            header.className = 'stage-header';
-            header.textContent = stage.name;
+    /**
+     * Schema 2 -> 3: teams were free text ("category" on acts, "teams" on members).
+     * Collects every name into a team registry and references teams by id.
+     */
+    migrateTeams(data) {
+        if (!data || data.teams) return data;
 
-            if (!this.isReadOnly) {
-                header.style.cursor = 'pointer';
-                header.title = 'Click to rename';
-                header.onclick = () => this.renameStage(stage.id);
-                // Drag Drop Listeners
-                col.addEventListener('dragover', (e) => this.handleDragOver(e));
-                col.addEventListener('drop', (e) => this.handleDrop(e, stage.id));
+        const teams = [];
+        const teamId = (name) => {
+            let team = teams.find(t => t.name.toLowerCase() === name.toLowerCase());
+            if (!team) {
+                // Derived from the name so the same project always migrates to the same ids
+                let hash = 5381;
+                for (const ch of name) hash = ((hash * 33) ^ ch.codePointAt(0)) >>> 0;
+                team = { id: `team-${hash.toString(36)}`, name, color: null, type: 'quartet' };
+                teams.push(team);
             }
+            return team;
+        };
 
-            col.appendChild(header);
-            container.appendChild(col);
+        (data.acts || []).forEach(act => {
+            const ids = this.parseTeams(typeof act.category === 'string' ? act.category : '').map(name => {
+                const team = teamId(name);
+                if (!team.color) team.color = act.color;
+                return team.id;
+            });
+            act.teamIds = [...new Set(ids)];
+            delete act.category;
+        });
+        (data.members || []).forEach(member => {
+            const names = Array.isArray(member.teams) ? member.teams : [];
+            member.teamIds = [...new Set(names.filter(n => typeof n === 'string' && n.trim()).map(n => teamId(n.trim()).id))];
+            delete member.teams;
         });
-    }
 
-    renderActs() {
-        // Clear existing acts from DOM
-        document.querySelectorAll('.act-card').forEach(el => el.remove());
+        teams.forEach(t => { if (!/^#[0-9a-f]{6}$/i.test(t.color || '')) t.color = '#6b7280'; });
+        data.teams = teams;
+        return data;
+    }
 
-        this.state.acts.forEach(act => {
-            const stageCol = document.getElementById(act.stageId);
-            if (!stageCol) return;
+    /**
+     * Schema 3 -> 4: overnight acts were entered with the end before the start
+     * ("23:00" to "01:00"). Moves such ends onto the next day. Acts with equal
+     * times are left alone for validation to report.
+     */
+    migrateOvernight(data) {
+        if (!data || !Array.isArray(data.acts)) return data;
 
-            const card = this.createActCard(act);
-            stageCol.appendChild(card);
+        const pattern = /^\d{2}:[0-5]\d$/;
+        data.acts.forEach(act => {
+            if (!act || !pattern.test(act.startTime) || !pattern.test(act.endTime)) return;
+            const start = this.toMinutes(act.startTime);
+            const end = this.toMinutes(act.endTime);
+            if (end < start && end < 1440) act.endTime = this.formatTime(end + 1440);
         });
+        return data;
     }
 
-    createActCard(act) {
-        const card = document.createElement('div');
-        card.className = 'act-card';
-        card.id = act.id;
-        card.draggable = !this.isReadOnly;
-        card.textContent = act.name;
-        card.style.backgroundColor = act.color;
+    saveState(label = 'Edit') {
+        if (this.isReadOnly) return;
+        this.state.config.startHour = this.CONFIG.startHour;
+        this.state.config.endHour = this.CONFIG.endHour;
 
-        // Position
-        const [startH, startM] = act.startTime.split(':').map(Number);
-        const [endH, endM] = act.endTime.split(':').map(Number);
+        const snapshot = JSON.stringify(this.state);
+        if (this.lastSnapshot !== null && snapshot !== this.lastSnapshot) {
+            this.history.past.push({ label, snapshot: this.lastSnapshot });
+            if (this.history.past.length > this.CONFIG.historyLimit) this.history.past.shift();
+            this.history.future = [];
+        }
+        this.lastSnapshot = snapshot;
 
-        const startTotalMin = startH * 60 + startM;
-        const endTotalMin = endH * 60 + endM;
-        const configStartMin = this.CONFIG.startHour * 60;
+        localStorage.setItem(this.CONFIG.storageKey, snapshot);
+        this.saveHistory();
+        this.updateHistoryButtons();
+    }
 
-        const offsetMin = startTotalMin - configStartMin;
-        const durationMin = endTotalMin - startTotalMin;
+    // --- History ---
 
-        const topPx = (offsetMin / 60) * this.CONFIG.pixelsPerHour;
-        const heightPx = (durationMin / 60) * this.CONFIG.pixelsPerHour;
+    loadHistory() {
+        if (this.isReadOnly) return;
+        this.state.config.startHour = this.CONFIG.startHour;
+        this.state.config.endHour = this.CONFIG.endHour;
+        this.lastSnapshot = JSON.stringify(this.state);
 
-        card.style.top = `${topPx}px`;
-        card.style.height = `${heightPx}px`;
+        const saved = localStorage.getItem(this.CONFIG.historyKey);
+        if (saved) {
+            try {
+                const parsed = JSON.parse(saved);
+                // History only applies to the state it was recorded against,
+                // and snapshots from before a schema upgrade can't be restored
+                if (!this.staleHistory && parsed.current === localStorage.getItem(this.CONFIG.storageKey)) {
+                    this.history.past = parsed.past || [];
+                    this.history.future = parsed.future || [];
+                }
+            } catch (e) {
+                console.error('Failed to parse history:', e);
+            }
+        }
+        this.updateHistoryButtons();
+    }
 
-        // Content
-        let categoriesHtml = '';
-        if (act.category) {
-            const cats = act.category.split(',').map(c => c.trim()).filter(Boolean);
-            if (cats.length) {
-                categoriesHtml = `<div class="act-categories-wrapper">${cats.map(c => `<div class="act-category">${c}</div>`).join('')}</div>`;
+    saveHistory() {
+        const data = { ...this.history, current: this.lastSnapshot };
+        try {
+            localStorage.setItem(this.CONFIG.historyKey, JSON.stringify(data));
+        } catch (e) {
+            // Storage full: drop the oldest half of the history and try again
+            if (this.history.past.length > 1) {
+                this.history.past = this.history.past.slice(Math.floor(this.history.past.length / 2));
+                this.history.future = [];
+                this.saveHistory();
+            } else {
+                console.warn('History not persisted:', e);
             }
         }
+    }
 
-        card.innerHTML = `
-            <div class="act-title">${act.name}</div>
-            <div class="act-time">${act.startTime} - ${act.endTime}</div>
-            ${categoriesHtml}
-        `;
+    undo() {
+        const entry = this.history.past[this.history.past.length - 1];
+        if (!entry) return;
+        const current = this.lastSnapshot;
+        if (!this.restoreSnapshot(entry.snapshot)) return;
+        this.history.past.pop();
+        this.history.future.push({ label: entry.label, snapshot: current });
+        this.saveHistory();
+        this.updateHistoryButtons();
+    }
 
-        // Interaction
-        if (!this.isReadOnly) {
-            card.addEventListener('dragstart', (e) => this.handleDragStart(e, act));
-            card.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.openEditModal(act);
-            });
+    redo() {
+        const entry = this.history.future[this.history.future.length - 1];
+        if (!entry) return;
+        const current = this.lastSnapshot;
+        if (!this.restoreSnapshot(entry.snapshot)) return;
+        this.history.future.pop();
+        this.history.past.push({ label: entry.label, snapshot: current });
+        this.saveHistory();
+        this.updateHistoryButtons();
+    }
+
+    // Returns false if the snapshot can't be read at all; invalid acts are dropped as on load
+    restoreSnapshot(snapshot) {
+        let result;
+        try {
+            result = this.prepareProject(JSON.parse(snapshot));
+        } catch (e) {
+            result = { errors: ['Not a project file.'], fatal: true };
+        }
+        if (result.fatal) {
+            alert(`This step can't be restored:\n${this.formatErrors(result.errors)}`);
+            return false;
         }
+        this.dropInvalidActs(result.data);
 
-        return card;
+        this.state = result.data;
+        this.lastSnapshot = JSON.stringify(this.state);
+        localStorage.setItem(this.CONFIG.storageKey, this.lastSnapshot);
+
+        this.applyConfig();
+        this.renderAll();
+        if (!this.dom.modals.members.classList.contains('hidden')) this.renderMembersList();
+        return true;
     }
 
-    // --- Actions ---
+    updateHistoryButtons() {
+        const { undo, redo } = this.dom.buttons;
+        if (!undo || !redo) return;
+        const last = this.history.past[this.history.past.length - 1];
+        const next = this.history.future[this.history.future.length - 1];
+        undo.disabled = !last;
+        redo.disabled = !next;
+        undo.title = last ? `Undo: ${last.label}` : 'Nothing to undo';
+        redo.title = next ? `Redo: ${next.label}` : 'Nothing to redo';
+    }
 
-    renameStage(stageId) {
-        const stage = this.state.stages.find(s => s.id === stageId);
-        if (!stage) return;
-        const newName = prompt('Enter new stage name:', stage.name);
-        if (newName && newName.trim()) {
-            stage.name = newName.trim();
-            this.saveState();
-            this.renderStages();
-            this.renderActs(); // Re-render acts to attach to new DOM elements
+    handleHistoryKeys(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        // Leave native text undo alone inside form fields
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
         }
     }
 
-    addStage() {
-        const name = prompt('Stage Name:', `Stage ${this.state.stages.length + 1}`);
-        if (name) {
-            this.state.stages.push({
-                id: `stage-${Date.now()}`,
-                name: name
-            });
-            this.saveState();
-            this.renderStages();
-            this.renderActs();
+    applyConfig() {
+        if (this.state.config) {
+            this.CONFIG.startHour = this.state.config.startHour;
+            this.CONFIG.endHour = this.state.config.endHour;
         }
+        this.applyBranding();
     }
 
-    // --- Drag & Drop ---
+    // --- Branding ---
 
-    handleDragStart(e, act) {
-        this.dragState.actId = act.id;
-        e.dataTransfer.effectAllowed = 'move';
-        e.target.style.opacity = '0.5';
+    getBranding() {
+        return { ...this.CONFIG.branding, ...this.state.config?.branding };
+    }
 
-        const rect = e.target.getBoundingClientRect();
-        this.dragState.offsetY = e.clientY - rect.top;
+    // Event name without the *highlight* markers, for titles and file metadata
+    getEventName() {
+        return this.getBranding().eventName.replace(/\*/g, '');
     }
 
-    handleDragOver(e) {
-        e.preventDefault();
-        e.dataTransfer.dropEffect = 'move';
+    // Start of every exported file name, e.g. "Sendai_Barbershop_Festival"
+    getFilePrefix() {
+        return this.toFileName(this.getEventName());
     }
 
-    handleDrop(e, stageId) {
-        e.preventDefault();
-        const draggedEl = document.getElementById(this.dragState.actId);
-        if (draggedEl) draggedEl.style.opacity = '1';
+    // "Sendai *Barbershop* Festival" highlights "Barbershop" in the accent color
+    formatEventName() {
+        return this.escapeHtml(this.getBranding().eventName).replace(/\*([^*]+)\*/g, '<span>$1</span>').replace(/\*/g, '');
+    }
 
-        if (!this.dragState.actId) return;
+    applyBranding() {
+        const b = this.getBranding();
+        const root = document.documentElement.style;
+        root.setProperty('--primary', b.primaryColor);
+        root.setProperty('--secondary', b.secondaryColor);
+        root.setProperty('--bg-gradient-start', b.backgroundStart);
+        root.setProperty('--bg-gradient-end', b.backgroundEnd);
+        root.setProperty('--font-heading', b.headingFont);
+        root.setProperty('--font-body', b.bodyFont);
 
-        const stageRect = e.currentTarget.getBoundingClientRect();
-        const relativeY = e.clientY - stageRect.top - this.dragState.offsetY;
+        document.title = this.isReadOnly ? this.getEventName() : `${this.getEventName()} · Schedule Editor`;
+        document.querySelector('.logo').innerHTML = this.buildBrandingHtml();
+    }
 
-        // Calculate time
-        const minutesFromStart = (relativeY / this.CONFIG.pixelsPerHour) * 60;
-        const snappedMinutes = Math.round(minutesFromStart / this.CONFIG.snapMinutes) * this.CONFIG.snapMinutes;
+    // Logo, name and subtitle; shared by the header and the exports
+    buildBrandingHtml() {
+        const b = this.getBranding();
+        return `
+            ${b.logo ? `<img class="brand-logo" src="${this.escapeHtml(b.logo)}" alt="">` : ''}
+            <div>
+                <h1>${this.formatEventName()}</h1>
+                ${b.subtitle ? `<div class="brand-subtitle">${this.escapeHtml(b.subtitle)}</div>` : ''}
+            </div>
+        `;
+    }
 
-        const act = this.state.acts.find(a => a.id === this.dragState.actId);
-        if (!act) return;
+    // Scales the logo down so it fits comfortably in localStorage
+    readLogoFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                const img = new Image();
+                img.onload = () => {
+                    const scale = Math.min(1, 256 / Math.max(img.width, img.height));
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.round(img.width * scale);
+                    canvas.height = Math.round(img.height * scale);
+                    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                    resolve(canvas.toDataURL('image/png'));
+                };
+                img.onerror = () => reject(new Error('Not an image'));
+                img.src = reader.result;
+            };
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
 
-        // Current Duration
-        const [cH, cM] = act.startTime.split(':').map(Number);
-        const [eH, eM] = act.endTime.split(':').map(Number);
-        const durationMin = (eH * 60 + eM) - (cH * 60 + cM);
+    async handleLogoChange(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            this.pendingLogo = await this.readLogoFile(file);
+            this.renderLogoPreview();
+        } catch (err) {
+            alert('Could not read the logo image.');
+        }
+        e.target.value = '';
+    }
 
-        const newStartTotalMin = (this.CONFIG.startHour * 60) + snappedMinutes;
+    renderLogoPreview() {
+        const preview = document.getElementById('branding-logo-preview');
+        preview.src = this.pendingLogo || '';
+        preview.style.display = this.pendingLogo ? 'block' : 'none';
+        document.getElementById('branding-logo-remove').style.display = this.pendingLogo ? '' : 'none';
+    }
 
-        // Clamp
-        const globalStartMin = this.CONFIG.startHour * 60;
-        const globalEndMin = this.CONFIG.endHour * 60;
+    checkReadOnly() {
+        if (this.isReadOnly) {
+            document.body.classList.add('read-only');
+            this.initViewer();
+        }
+    }
 
-        const clampedStartMin = Math.max(globalStartMin, Math.min(newStartTotalMin, globalEndMin - durationMin));
-        const clampedEndMin = clampedStartMin + durationMin;
+    // --- Live Mode ---
 
-        act.stageId = stageId;
-        act.startTime = this.formatTime(clampedStartMin);
-        act.endTime = this.formatTime(clampedEndMin);
+    initLive() {
+        const params = new URLSearchParams(window.location.search);
+        const simulated = params.get('now');
+        if (simulated && !isNaN(new Date(simulated))) {
+            this.setSimulatedClock(simulated, parseFloat(params.get('speed')) || 1);
+        }
+        if (params.get('live') === '1') this.toggleLive(true);
 
-        this.saveState();
-        this.renderActs();
-        this.dragState.actId = null;
-    }
+        document.getElementById('live-btn').onclick = () => this.toggleLive();
+        document.getElementById('live-sim-apply').onclick = () => {
+            const value = document.getElementById('live-sim-time').value;
+            const speed = parseFloat(document.getElementById('live-sim-speed').value) || 1;
+            if (value) this.setSimulatedClock(value, speed);
+        };
+        document.getElementById('live-sim-reset').onclick = () => this.setSimulatedClock(null);
 
-    formatTime(totalMin) {
-        let h = Math.floor(totalMin / 60);
-        const m = totalMin % 60;
-        if (h >= 24) h = h % 24;
-        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+        // Auto-scroll pauses while the user is looking around
+        const workspace = document.getElementById('capture-target');
+        ['wheel', 'touchstart'].forEach(type => {
+            workspace.addEventListener(type, () => { this.live.lastUserScroll = Date.now(); }, { passive: true });
+        });
     }
 
-    // --- Modals ---
+    toggleLive(force) {
+        const active = force !== undefined ? force : !this.live.active;
+        this.live.active = active;
+        document.body.classList.toggle('live-mode', active);
+        document.getElementById('live-btn').classList.toggle('active', active);
+        this.dom.liveBanner.classList.toggle('hidden', !active);
+
+        clearInterval(this.live.timer);
+        if (active) {
+            this.live.lastUserScroll = 0;
+            this.live.followDay = true;
+            this.live.timer = setInterval(() => this.updateLive(), 1000);
+            this.updateLive();
+        } else {
+            document.querySelectorAll('.now-line').forEach(el => el.remove());
+            document.querySelectorAll('.live-current').forEach(el => el.classList.remove('live-current'));
+        }
+    }
+
+    setSimulatedClock(value, speed = 1) {
+        this.live.simulatedStart = value ? new Date(value) : null;
+        this.live.startedAt = Date.now();
+        this.live.speed = speed;
+        this.live.lastUserScroll = 0;
+        this.live.followDay = true;
+        if (this.live.active) this.updateLive();
+    }
+
+    getNow() {
+        if (!this.live.simulatedStart) return new Date();
+        const elapsed = (Date.now() - this.live.startedAt) * this.live.speed;
+        return new Date(this.live.simulatedStart.getTime() + elapsed);
+    }
+
+    /**
+     * Day whose date is today, and the current time in that day's minutes.
+     * After midnight the previous day stays live while its grid runs past 24:00.
+     * Without dates, the day on screen stands in.
+     */
+    getLivePosition(now) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        const minutes = now.getHours() * 60 + now.getMinutes() + now.getSeconds() / 60;
+        if (!this.state.days.some(d => d.date)) return { day: this.getDay(this.currentDayId), minutes };
+
+        const yesterday = this.state.days.find(d => d.date === this.addDays(today, -1));
+        if (yesterday && minutes + 1440 <= this.CONFIG.endHour * 60) {
+            return { day: yesterday, minutes: minutes + 1440 };
+        }
+        return { day: this.state.days.find(d => d.date === today) || null, minutes };
+    }
+
+    updateLive() {
+        const now = this.getNow();
+        const { day: liveDay, minutes: nowMin } = this.getLivePosition(now);
+
+        if (liveDay && liveDay.id !== this.currentDayId && this.live.followDay) {
+            this.switchDay(liveDay.id); // Re-renders acts, which calls back into updateLive
+            return;
+        }
+        // Coming back to the live day's tab resumes following it
+        const onLiveDay = !!liveDay && liveDay.id === this.currentDayId;
+        if (onLiveDay) this.live.followDay = true;
+
+        // Now line
+        const container = this.dom.stagesContainer;
+        let line = container.querySelector('.now-line');
+        const inRange = onLiveDay && nowMin >= this.CONFIG.startHour * 60 && nowMin <= this.CONFIG.endHour * 60;
+        if (inRange) {
+            if (!line) {
+                line = document.createElement('div');
+                line.className = 'now-line';
+                container.appendChild(line);
+            }
+            const top = ((nowMin - this.CONFIG.startHour * 60) / 60) * this.CONFIG.pixelsPerHour;
+            line.style.top = `${top}px`;
+            line.dataset.time = this.formatClock(Math.floor(nowMin));
+            this.autoScrollToNow(top);
+        } else if (line) {
+            line.remove();
+        }
+
+        // Current and next acts per stage
+        const stages = liveDay ? this.getDayStages(liveDay.id) : [];
+        const rows = stages.map(stage => {
+            const acts = this.state.acts
+                .filter(a => a.stageId === stage.id)
+                .sort((a, b) => this.getActRange(a).start - this.getActRange(b).start);
+            const current = acts.find(a => {
+                const { start, end } = this.getActRange(a);
+                return start <= nowMin && nowMin < end;
+            });
+            const next = acts.find(a => this.getActRange(a).start > nowMin);
+            return { stage, current, next };
+        });
+
+        document.querySelectorAll('.act-card').forEach(card => {
+            card.classList.toggle('live-current', onLiveDay && rows.some(r => r.current?.id === card.id));
+        });
+
+        this.renderLiveBanner(now, nowMin, liveDay, rows);
+    }
+
+    autoScrollToNow(top) {
+        if (Date.now() - this.live.lastUserScroll < 15000) return;
+        const workspace = document.getElementById('capture-target');
+        const target = Math.max(0, top - workspace.clientHeight / 3);
+        if (Math.abs(workspace.scrollTop - target) > 4) {
+            workspace.scrollTo({ top: target, behavior: 'smooth' });
+        }
+    }
+
+    renderLiveBanner(now, nowMin, liveDay, rows) {
+        const clock = now.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        const simulated = this.live.simulatedStart
+            ? `<span class="live-simulated">SIMULATED${this.live.speed !== 1 ? ` ×${this.live.speed}` : ''}</span>`
+            : '';
+
+        let body;
+        if (!liveDay) {
+            body = '<div class="live-empty">No day scheduled for today.</div>';
+        } else {
+            body = rows.map(({ stage, current, next }) => `
+                <div class="live-stage">
+                    <div class="live-stage-name">${stage.name}</div>
+                    <div class="live-now">${current
+                        ? `Now: <strong>${current.name}</strong> <span class="live-countdown">ends in ${this.formatCountdown(this.getActRange(current).end - nowMin)}</span>`
+                        : 'Now: —'}</div>
+                    <div class="live-next">${next
+                        ? `Next: <strong>${next.name}</strong> ${this.formatClock(this.getActRange(next).start)} <span class="live-countdown">in ${this.formatCountdown(this.getActRange(next).start - nowMin)}</span>`
+                        : 'Next: —'}</div>
+                </div>
+            `).join('');
+        }
+
+        document.getElementById('live-status').innerHTML = `
+            <div class="live-clock">${clock} ${simulated}</div>
+            <div class="live-stages">${body}</div>
+        `;
+    }
+
+    formatCountdown(minutes) {
+        const total = Math.max(0, Math.round(minutes * 60));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const sec = total % 60;
+        const pad = (n) => String(n).padStart(2, '0');
+        return h ? `${h}:${pad(m)}:${pad(sec)}` : `${m}:${pad(sec)}`;
+    }
+
+    // --- Zoom ---
+
+    loadZoom() {
+        const saved = parseFloat(localStorage.getItem(this.CONFIG.zoomKey));
+        if (saved) this.CONFIG.pixelsPerHour = this.clampZoom(saved);
+        this.applyZoomClass();
+    }
+
+    clampZoom(pph) {
+        return Math.min(this.CONFIG.maxPixelsPerHour, Math.max(this.CONFIG.minPixelsPerHour, Math.round(pph)));
+    }
+
+    initZoom() {
+        const workspace = document.getElementById('capture-target');
+        const step = 1.25;
+        document.getElementById('zoom-in').onclick = () => this.setZoom(this.CONFIG.pixelsPerHour * step);
+        document.getElementById('zoom-out').onclick = () => this.setZoom(this.CONFIG.pixelsPerHour / step);
+        document.getElementById('zoom-reset').onclick = () => this.setZoom(this.CONFIG.basePixelsPerHour);
+        this.renderZoomLabel();
+
+        // Ctrl+wheel, which is also what trackpad pinches send
+        workspace.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey) return;
+            e.preventDefault();
+            this.setZoom(this.CONFIG.pixelsPerHour * Math.exp(-e.deltaY * 0.002), e.clientY);
+        }, { passive: false });
+
+        // Two-finger pinch on touch screens
+        const touches = new Map();
+        let pinch = null;
+        const distance = () => {
+            const [a, b] = [...touches.values()];
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        };
+        workspace.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+            touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (touches.size === 2) {
+                this.cancelDrag();
+                pinch = { distance: distance(), pph: this.CONFIG.pixelsPerHour };
+            }
+        });
+        workspace.addEventListener('pointermove', (e) => {
+            if (!touches.has(e.pointerId)) return;
+            touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (pinch && touches.size === 2) {
+                const midY = [...touches.values()].reduce((sum, t) => sum + t.y, 0) / 2;
+                this.setZoom(pinch.pph * (distance() / pinch.distance), midY);
+            }
+        });
+        const release = (e) => {
+            touches.delete(e.pointerId);
+            if (touches.size < 2) pinch = null;
+        };
+        workspace.addEventListener('pointerup', release);
+        workspace.addEventListener('pointercancel', release);
+    }
+
+    /**
+     * Re-renders the grid at `pph` pixels per hour. The time under `anchorY`
+     * (a clientY, default the middle of the view) stays where it was.
+     */
+    setZoom(pph, anchorY) {
+        pph = this.clampZoom(pph);
+        if (pph === this.CONFIG.pixelsPerHour) return;
+
+        const workspace = document.getElementById('capture-target');
+        const box = workspace.getBoundingClientRect();
+        const anchor = (anchorY ?? box.top + workspace.clientHeight / 2) - box.top;
+        const gridTop = this.dom.timeLabels.getBoundingClientRect().top - box.top + workspace.scrollTop;
+        const hoursAtAnchor = (workspace.scrollTop + anchor - gridTop) / this.CONFIG.pixelsPerHour;
+
+        this.CONFIG.pixelsPerHour = pph;
+        localStorage.setItem(this.CONFIG.zoomKey, String(pph));
+        this.applyZoomClass();
+        this.renderTimeLabels();
+        this.renderStages();
+        this.renderActs();
+        this.renderZoomLabel();
+
+        workspace.scrollTop = gridTop + hoursAtAnchor * pph - anchor;
+    }
+
+    applyZoomClass() {
+        document.getElementById('capture-target').classList.toggle('compact', this.CONFIG.pixelsPerHour < this.CONFIG.compactBelow);
+    }
+
+    renderZoomLabel() {
+        document.getElementById('zoom-reset').textContent = `${Math.round((this.CONFIG.pixelsPerHour / this.CONFIG.basePixelsPerHour) * 100)}%`;
+    }
+
+    // --- Public Viewer ---
+
+    initViewer() {
+        const params = new URLSearchParams(window.location.search);
+        const teams = this.getAllTeams();
+        const team = params.get('team') || '';
+        const member = params.get('member') || '';
+
+        this.viewFilter.team = (team && this.findTeamByName(team)?.name) || '';
+        this.viewFilter.member = this.state.members.some(m => m.name === member) ? member : '';
+        this.viewFilter.hideOthers = params.get('only') === '1';
+
+        const teamSelect = document.getElementById('viewer-team');
+        teamSelect.innerHTML = '<option value="">All teams</option>';
+        teams.forEach(t => {
+            const opt = document.createElement('option');
+            opt.value = opt.textContent = t.name;
+            teamSelect.appendChild(opt);
+        });
+
+        const memberSelect = document.getElementById('viewer-member');
+        memberSelect.innerHTML = '<option value="">My name...</option>';
+        [...this.state.members].sort((a, b) => a.name.localeCompare(b.name)).forEach(m => {
+            const opt = document.createElement('option');
+            opt.value = opt.textContent = m.name;
+            memberSelect.appendChild(opt);
+        });
+        // Member names are only present if they were published
+        memberSelect.style.display = this.state.members.length ? '' : 'none';
+
+        teamSelect.onchange = () => this.setViewFilter({ team: teamSelect.value, member: '' });
+        memberSelect.onchange = () => this.setViewFilter({ member: memberSelect.value, team: '' });
+        document.getElementById('viewer-only').onchange = (e) => this.setViewFilter({ hideOthers: e.target.checked });
+        document.getElementById('viewer-clear').onclick = () => this.setViewFilter({ team: '', member: '', hideOthers: false });
+
+        // Open on the first day that has something for the chosen team/member
+        const matches = this.getFilteredActIds();
+        if (matches) {
+            const first = this.state.acts.find(a => matches.has(a.id));
+            const day = first && this.getActDay(first);
+            if (day) this.currentDayId = day.id;
+        }
+
+        this.syncViewerControls();
+        this.renderAll();
+    }
+
+    setViewFilter(changes) {
+        Object.assign(this.viewFilter, changes);
+
+        const params = new URLSearchParams(window.location.search);
+        ['team', 'member'].forEach(key => {
+            if (this.viewFilter[key]) params.set(key, this.viewFilter[key]);
+            else params.delete(key);
+        });
+        if (this.viewFilter.hideOthers) params.set('only', '1');
+        else params.delete('only');
+        history.replaceState(null, '', `${window.location.pathname}?${params}`);
+
+        this.syncViewerControls();
+        this.renderDayTabs();
+        this.renderActs();
+    }
+
+    syncViewerControls() {
+        document.getElementById('viewer-team').value = this.viewFilter.team;
+        document.getElementById('viewer-member').value = this.viewFilter.member;
+        document.getElementById('viewer-only').checked = this.viewFilter.hideOthers;
+        document.getElementById('viewer-clear').style.visibility = this.getFilteredActIds() ? 'visible' : 'hidden';
+    }
+
+    // Ids of the acts matching the viewer filter, or null if no filter is set
+    getFilteredActIds() {
+        const { team, member } = this.viewFilter;
+        let acts = null;
+        if (team) {
+            const t = this.findTeamByName(team);
+            acts = t ? this.getTeamActs(t.id) : [];
+        } else if (member) {
+            const m = this.state.members.find(mem => mem.name === member);
+            acts = m ? this.getMemberActs(m) : [];
+        }
+        return acts ? new Set(acts.map(a => a.id)) : null;
+    }
+
+    // --- Rendering ---
+
+    renderAll() {
+        this.renderDayTabs();
+        this.renderTimeLabels();
+        this.renderStages();
+        this.renderActs();
+    }
+
+    renderTimeLabels() {
+        const container = this.dom.timeLabels;
+        container.innerHTML = '';
+        const totalHours = this.CONFIG.endHour - this.CONFIG.startHour;
+        const totalHeight = totalHours * this.CONFIG.pixelsPerHour;
+
+        // Parent container height needs to match
+        // But time-axis-container is sticky. The content inside needs height.
+        container.style.height = `${totalHeight}px`;
+
+        // Half-hour labels once there is room for them
+        const showHalf = this.CONFIG.pixelsPerHour >= 2 * this.CONFIG.compactBelow;
+        // Past midnight labels carry the same "+1" as act times
+        const label = (hour, minutes) => `${hour % 24}:${minutes}${hour >= 24 ? ` +${Math.floor(hour / 24)}` : ''}`;
+        for (let h = 0; h <= totalHours; h++) {
+            const hour = this.CONFIG.startHour + h;
+            const el = document.createElement('div');
+            el.className = 'time-marker';
+            el.style.top = `${h * this.CONFIG.pixelsPerHour}px`;
+            el.textContent = label(hour, '00');
+            container.appendChild(el);
+
+            if (showHalf && h < totalHours) {
+                const half = document.createElement('div');
+                half.className = 'time-marker minor';
+                half.style.top = `${(h + 0.5) * this.CONFIG.pixelsPerHour}px`;
+                half.textContent = label(hour, '30');
+                container.appendChild(half);
+            }
+        }
+    }
+
+    // Hour lines plus 30 and 15 minute lines, as far as the zoom level allows
+    getGridBackground() {
+        const pph = this.CONFIG.pixelsPerHour;
+        const line = (step, color) => `repeating-linear-gradient(to bottom, ${color} 0 1px, transparent 1px ${step}px)`;
+        const layers = [line(pph, 'rgba(148, 163, 184, 0.15)')];
+        if (pph / 2 >= 40) layers.push(line(pph / 2, 'rgba(148, 163, 184, 0.08)'));
+        if (pph / 4 >= 40) layers.push(line(pph / 4, 'rgba(148, 163, 184, 0.04)'));
+        return layers.join(', ');
+    }
+
+    renderDayTabs() {
+        const container = this.dom.dayTabs;
+        container.innerHTML = '';
+
+        if (!this.state.days.some(d => d.id === this.currentDayId)) {
+            this.currentDayId = this.state.days[0]?.id || null;
+        }
+        const matches = this.getFilteredActIds();
+
+        this.state.days.forEach(day => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'day-tab';
+            tab.classList.toggle('active', day.id === this.currentDayId);
+            const date = this.formatDayDate(day);
+            tab.innerHTML = `${day.name}${date ? ` <span class="day-tab-date">${date}</span>` : ''}`;
+            if (matches) {
+                const count = this.state.acts.filter(a => matches.has(a.id) && this.getActDay(a) === day).length;
+                tab.innerHTML += ` <span class="day-tab-count">${count}</span>`;
+            }
+            tab.onclick = () => {
+                if (day.id === this.currentDayId) {
+                    if (!this.isReadOnly) this.openDayModal(day);
+                    return;
+                }
+                this.live.followDay = false;
+                this.switchDay(day.id);
+            };
+            if (!this.isReadOnly && day.id === this.currentDayId) tab.title = 'Click to edit';
+            container.appendChild(tab);
+        });
+
+        if (!this.isReadOnly) {
+            const add = document.createElement('button');
+            add.type = 'button';
+            add.className = 'day-tab add-day';
+            add.textContent = '＋ Day';
+            add.onclick = () => this.openDayModal(null);
+            container.appendChild(add);
+        }
+    }
+
+    switchDay(dayId) {
+        this.currentDayId = dayId;
+        this.renderDayTabs();
+        this.renderStages();
+        this.renderActs();
+    }
+
+    renderStages() {
+        const container = this.dom.stagesContainer;
+        container.innerHTML = '';
+        const totalHeight = (this.CONFIG.endHour - this.CONFIG.startHour) * this.CONFIG.pixelsPerHour;
+
+        this.getDayStages(this.currentDayId).forEach(stage => {
+            const col = document.createElement('div');
+            col.className = 'stage-column';
+            col.id = stage.id;
+            col.style.height = `${totalHeight}px`;
+            col.style.backgroundImage = this.getGridBackground();
+
+            const header = document.createElement('div');
+            header.className = 'stage-header';
+            header.innerHTML = `
+                <div class="stage-name">${stage.name}</div>
+                ${stage.venue ? `<div class="stage-details">${stage.venue}</div>` : ''}
+            `;
+
+            if (!this.isReadOnly) {
+                header.style.cursor = 'pointer';
+                header.title = 'Click to edit';
+                header.tabIndex = 0;
+                header.setAttribute('role', 'button');
+                header.setAttribute('aria-label', `Edit stage ${stage.name}`);
+                header.onclick = () => this.openStageModal(stage);
+                header.onkeydown = (e) => {
+                    if (e.key === 'Enter') this.openStageModal(stage);
+                };
+            }
+
+            col.appendChild(header);
+            container.appendChild(col);
+        });
+    }
+
+    renderActs() {
+        // Clear existing acts from DOM
+        document.querySelectorAll('.act-card').forEach(el => el.remove());
+        this.hideActPopover();
+
+        this.conflicts = this.findConflicts();
+        this.renderConflictBadge();
+
+        const matches = this.getFilteredActIds();
+        const hidden = (act) => matches && this.viewFilter.hideOthers && !matches.has(act.id);
+        const lanes = this.layoutLanes(this.state.acts.filter(act => !hidden(act)));
+
+        this.state.acts.forEach(act => {
+            const stageCol = document.getElementById(act.stageId);
+            if (!stageCol) return;
+
+            const card = this.createActCard(act);
+            if (matches) {
+                card.classList.add(matches.has(act.id) ? 'highlighted' : 'dimmed');
+                if (hidden(act)) card.classList.add('filtered-out');
+            }
+            const lane = lanes.get(act.id);
+            if (lane && lane.count > 1) this.placeInLane(card, lane);
+            if (this.selection.has(act.id)) {
+                card.classList.add('selected');
+                card.setAttribute('aria-selected', 'true');
+            }
+            stageCol.appendChild(card);
+        });
+
+        // Deleted or undone acts drop out of the selection
+        this.selection.forEach(id => {
+            if (!this.state.acts.some(a => a.id === id)) this.selection.delete(id);
+        });
+        this.renderSelectionBar();
+
+        if (this.live.active) this.updateLive();
+    }
+
+    createActCard(act) {
+        const card = document.createElement('div');
+        card.className = 'act-card';
+        card.id = act.id;
+        card.textContent = act.name;
+        card.style.backgroundColor = act.color;
+
+        // Position
+        const { start, end } = this.getActRange(act);
+        this.positionCard(card, start, end);
+
+        // Content
+        let categoriesHtml = '';
+        const teams = (act.teamIds || []).map(id => this.getTeam(id)).filter(Boolean);
+        if (teams.length) {
+            categoriesHtml = `<div class="act-categories-wrapper">${teams.map(t => `<div class="act-category" style="border-left: 3px solid ${t.color}">${t.name}</div>`).join('')}</div>`;
+        }
+
+        // Conflict marker
+        let conflictHtml = '';
+        const conflicts = this.isReadOnly ? [] : this.getConflictsForAct(act.id);
+        if (conflicts.length) {
+            card.classList.add('has-conflict');
+            const tip = conflicts.map(c => this.describeConflict(c)).join('\n');
+            conflictHtml = `<div class="act-conflict-badge" title="${tip}">⚠ ${conflicts.length}</div>`;
+        }
+
+        if (this.isPrivateAct(act)) card.classList.add('private');
+        card.innerHTML = `
+            ${conflictHtml}
+            <div class="act-title">${this.isPrivateAct(act) ? '<span class="act-private-mark" title="Private">🔒</span> ' : ''}${act.name}</div>
+            <div class="act-time">${this.formatActTime(act)}</div>
+            ${act.location ? `<div class="act-location">📍 ${this.escapeHtml(act.location)}</div>` : ''}
+            ${categoriesHtml}
+        `;
+
+        // Screen readers get the whole act in one label
+        const stage = this.getStage(act.stageId);
+        const teamNames = teams.map(t => t.name).join(', ');
+        card.tabIndex = 0;
+        card.setAttribute('role', this.isReadOnly ? 'article' : 'button');
+        card.setAttribute('aria-label', [
+            act.name,
+            this.formatActTime(act),
+            stage && this.getStageLabel(stage),
+            act.location && `Location: ${act.location}`,
+            teamNames && `Teams: ${teamNames}`,
+            this.isPrivateAct(act) && 'Private',
+            conflicts.length && `${conflicts.length} conflict(s)`
+        ].filter(Boolean).join(', '));
+
+        // Details popover on hover and keyboard focus; a tap toggles it in the viewer
+        if (this.getActDetails(act).length) {
+            card.classList.add('has-details');
+            card.addEventListener('mouseenter', () => this.showActPopover(act, card));
+            card.addEventListener('mouseleave', () => this.hideActPopover());
+            card.addEventListener('focus', () => this.showActPopover(act, card));
+            card.addEventListener('blur', () => this.hideActPopover());
+            card.addEventListener('pointerdown', () => this.hideActPopover());
+            if (this.isReadOnly) {
+                card.addEventListener('click', () => {
+                    if (this.popoverActId === act.id) this.hideActPopover();
+                    else this.showActPopover(act, card);
+                });
+            }
+        }
+
+        // Interaction
+        if (!this.isReadOnly) {
+            card.addEventListener('keydown', (e) => this.handleActKeydown(e, act));
+            ['start', 'end'].forEach(edge => {
+                const handle = document.createElement('div');
+                handle.className = `act-resize-handle ${edge}`;
+                handle.setAttribute('aria-hidden', 'true');
+                handle.addEventListener('pointerdown', (e) => this.handleResizeStart(e, act, edge));
+                card.appendChild(handle);
+            });
+
+            card.addEventListener('pointerdown', (e) => this.handleDragStart(e, act));
+            // Once a touch drag is active, stop the page from scrolling underneath it
+            card.addEventListener('touchmove', (e) => {
+                if (this.dragState?.active) e.preventDefault();
+            }, { passive: false });
+            card.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.suppressClick) return;
+                if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                    this.toggleSelection(act.id);
+                    return;
+                }
+                this.clearSelection();
+                this.openEditModal(act);
+            });
+        }
+
+        return card;
+    }
+
+    // --- Act Details ---
+
+    isPrivateAct(act) {
+        return act?.visibility === 'private';
+    }
+
+    // Filled-in detail fields as [{ label, value }], in display order
+    getActDetails(act) {
+        return [['Location', act.location], ['Contact', act.contact], ['Notes', act.notes]]
+            .filter(([, value]) => typeof value === 'string' && value.trim())
+            .map(([label, value]) => ({ label, value }));
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+    }
+
+    // Detail rows for cards; notes keep their line breaks
+    buildActDetailsHtml(act) {
+        return this.getActDetails(act).map(({ label, value }) => `
+            <div class="act-detail"><span class="act-detail-label">${label}</span> <span class="act-detail-value">${this.escapeHtml(value)}</span></div>
+        `).join('');
+    }
+
+    showActPopover(act, card) {
+        if (this.dragState?.active) return;
+        const popover = document.getElementById('act-popover');
+        popover.innerHTML = `
+            <div class="act-popover-title">${this.escapeHtml(act.name)}</div>
+            <div class="act-popover-time">${this.formatActTime(act)}${this.isPrivateAct(act) ? ' · 🔒 Private' : ''}</div>
+            ${this.buildActDetailsHtml(act)}
+        `;
+        popover.classList.remove('hidden');
+        this.popoverActId = act.id;
+
+        // Beside the card, flipped to the left near the window edge
+        const rect = card.getBoundingClientRect();
+        const width = popover.offsetWidth;
+        const left = rect.right + 8 + width > window.innerWidth ? rect.left - 8 - width : rect.right + 8;
+        const top = Math.min(rect.top, window.innerHeight - popover.offsetHeight - 8);
+        popover.style.left = `${Math.max(8, left)}px`;
+        popover.style.top = `${Math.max(8, top)}px`;
+    }
+
+    hideActPopover() {
+        document.getElementById('act-popover')?.classList.add('hidden');
+        this.popoverActId = null;
+    }
+
+    // Stores only filled-in details so older projects and diffs stay unchanged
+    applyActDetails(act, details) {
+        Object.entries(details).forEach(([field, value]) => {
+            if (value) act[field] = value;
+            else delete act[field];
+        });
+    }
+
+    readActFormDetails() {
+        return {
+            location: document.getElementById('act-location').value.trim(),
+            contact: document.getElementById('act-contact').value.trim(),
+            notes: document.getElementById('act-notes').value.trim(),
+            visibility: document.getElementById('act-private').checked ? 'private' : ''
+        };
+    }
+
+    // --- Selection & Clipboard ---
+
+    toggleSelection(id) {
+        if (this.selection.has(id)) this.selection.delete(id);
+        else this.selection.add(id);
+        this.renderSelection();
+    }
+
+    setSelection(ids) {
+        this.selection = new Set(ids);
+        this.renderSelection();
+    }
+
+    clearSelection() {
+        if (!this.selection.size) return;
+        this.selection.clear();
+        this.renderSelection();
+    }
+
+    // Updates card highlighting without a full re-render
+    renderSelection() {
+        document.querySelectorAll('.act-card').forEach(card => {
+            const selected = this.selection.has(card.id);
+            card.classList.toggle('selected', selected);
+            if (selected) card.setAttribute('aria-selected', 'true');
+            else card.removeAttribute('aria-selected');
+        });
+        this.renderSelectionBar();
+    }
+
+    renderSelectionBar() {
+        const bar = document.getElementById('selection-bar');
+        if (!bar) return;
+        bar.classList.toggle('hidden', !this.selection.size);
+        document.getElementById('selection-count').textContent = `${this.selection.size} selected`;
+        document.getElementById('selection-paste').disabled = !this.clipboard.length;
+    }
+
+    getSelectedActs() {
+        return this.state.acts.filter(a => this.selection.has(a.id));
+    }
+
+    // The selection, or else the act whose card has keyboard focus
+    getActionActs() {
+        const selected = this.getSelectedActs();
+        if (selected.length) return selected;
+        const focused = document.activeElement?.closest?.('.act-card');
+        const act = focused && this.state.acts.find(a => a.id === focused.id);
+        return act ? [act] : [];
+    }
+
+    // Largest shift within [delta] that keeps every act inside the grid
+    clampShift(acts, delta) {
+        const starts = acts.map(a => this.getActRange(a).start);
+        const ends = acts.map(a => this.getActRange(a).end);
+        const min = this.CONFIG.startHour * 60 - Math.min(...starts);
+        const max = this.CONFIG.endHour * 60 - Math.max(...ends);
+        return Math.max(min, Math.min(max, delta));
+    }
+
+    shiftAct(act, delta, changes = {}) {
+        const { start, end } = this.getActRange(act);
+        return { ...act, ...changes, startTime: this.formatTime(start + delta), endTime: this.formatTime(end + delta) };
+    }
+
+    // Adds copies of acts after a conflict check and selects them
+    insertActs(copies, label) {
+        if (!copies.length || !this.confirmConflicts(copies)) return;
+        this.state.acts.push(...copies);
+        this.saveState(label);
+        this.selection = new Set(copies.map(a => a.id));
+        this.renderActs();
+        this.announce(`${label}: ${copies.length} act(s)`);
+    }
+
+    copyActs() {
+        const acts = this.getActionActs();
+        if (!acts.length) return;
+        this.clipboard = JSON.parse(JSON.stringify(acts));
+        this.renderSelectionBar();
+        this.announce(`Copied ${acts.length} act(s)`);
+    }
+
+    // Copies are placed right after the last of the originals
+    duplicateActs() {
+        const acts = this.getActionActs();
+        if (!acts.length) return;
+        const ranges = acts.map(a => this.getActRange(a));
+        const span = Math.max(...ranges.map(r => r.end)) - Math.min(...ranges.map(r => r.start));
+        const delta = this.clampShift(acts, span);
+        this.insertActs(acts.map((act, i) => this.shiftAct(act, delta, { id: `act-${Date.now()}-${i}` })), 'Duplicate acts');
+    }
+
+    /**
+     * Pastes the clipboard onto the stage under the pointer, starting at the
+     * pointer's time. Without one, acts keep their times and go to the matching
+     * stage of the day on screen.
+     */
+    pasteActs() {
+        if (!this.clipboard.length) return;
+        const slot = this.getPointerSlot();
+        const first = Math.min(...this.clipboard.map(a => this.getActRange(a).start));
+        const copies = this.clipboard.map((act, i) => ({
+            ...act,
+            id: `act-${Date.now()}-${i}`,
+            stageId: slot ? slot.stageId : this.matchStageOnCurrentDay(act.stageId)
+        }));
+        const delta = this.clampShift(copies, slot ? slot.minutes - first : 0);
+        this.insertActs(copies.map(act => this.shiftAct(act, delta)), 'Paste acts');
+    }
+
+    // Stage column and snapped time under the last known pointer position
+    getPointerSlot() {
+        if (!this.pointer) return null;
+        const { clientX, clientY } = this.pointer;
+        const col = [...document.querySelectorAll('.stage-column')].find(c => {
+            const r = c.getBoundingClientRect();
+            return clientX >= r.left && clientX <= r.right && clientY >= r.top && clientY <= r.bottom;
+        });
+        if (!col) return null;
+        const snap = this.CONFIG.snapMinutes;
+        const offset = ((clientY - col.getBoundingClientRect().top) / this.CONFIG.pixelsPerHour) * 60;
+        return { stageId: col.id, minutes: this.CONFIG.startHour * 60 + Math.round(offset / snap) * snap };
+    }
+
+    // Same stage if it is on screen, otherwise the stage in the same position on the current day
+    matchStageOnCurrentDay(stageId) {
+        const stages = this.getDayStages(this.currentDayId);
+        if (stages.some(st => st.id === stageId)) return stageId;
+        const source = this.getStage(stageId);
+        const index = source ? this.getDayStages(source.dayId).indexOf(source) : 0;
+        return (stages[index] || stages[0] || source)?.id || stageId;
+    }
+
+    // `stageIds` optionally maps act ids to new stages
+    shiftSelection(minutes, stageIds = null) {
+        const acts = this.getSelectedActs();
+        const delta = this.clampShift(acts, minutes);
+        const restage = stageIds && acts.some(act => stageIds.get(act.id) !== act.stageId);
+        if (!acts.length || (!delta && !restage)) {
+            this.renderActs();
+            return;
+        }
+        const moved = acts.map(act => this.shiftAct(act, delta, stageIds ? { stageId: stageIds.get(act.id) } : {}));
+        if (this.confirmConflicts(moved)) {
+            moved.forEach(m => Object.assign(this.state.acts.find(a => a.id === m.id), m));
+            this.saveState('Move acts');
+        }
+        this.renderActs();
+    }
+
+    /**
+     * New stage for each act when the act on `fromStageId` is dropped on
+     * `toStageId`: every act moves by the same number of stage columns on the
+     * target's day. Returns null if some act would land past the last stage.
+     */
+    getGroupStageIds(acts, fromStageId, toStageId) {
+        const indexOf = (stageId) => {
+            const stage = this.getStage(stageId);
+            return stage ? this.getDayStages(stage.dayId).indexOf(stage) : -1;
+        };
+        const targetStages = this.getDayStages(this.getStage(toStageId)?.dayId);
+        const offset = indexOf(toStageId) - indexOf(fromStageId);
+
+        const stageIds = new Map();
+        for (const act of acts) {
+            const stage = targetStages[indexOf(act.stageId) + offset];
+            if (!stage) return null;
+            stageIds.set(act.id, stage.id);
+        }
+        return stageIds;
+    }
+
+    recolorSelection(color) {
+        const acts = this.getSelectedActs();
+        if (!acts.length) return;
+        acts.forEach(act => { act.color = color; });
+        this.saveState('Recolor acts');
+        this.renderActs();
+    }
+
+    openBulkTeams() {
+        this.refreshTeamOptions();
+        this.setPickerTeams(document.getElementById('bulk-teams'), []);
+        document.getElementById('bulk-teams-mode').value = 'add';
+        this.openModal('bulkTeams');
+    }
+
+    handleBulkTeamsSubmit(e) {
+        e.preventDefault();
+        const names = this.getPickerTeams(document.getElementById('bulk-teams'));
+        const mode = document.getElementById('bulk-teams-mode').value;
+        if (!this.confirmNewTeams(names)) return;
+
+        const teamsBefore = [...this.state.teams];
+        const ids = this.resolveTeamIds(names);
+        const changed = this.getSelectedActs().map(act => {
+            let teamIds = ids;
+            if (mode === 'add') teamIds = [...new Set([...act.teamIds, ...ids])];
+            if (mode === 'remove') teamIds = act.teamIds.filter(id => !ids.includes(id));
+            return { ...act, teamIds };
+        });
+        if (!this.confirmConflicts(changed)) {
+            this.state.teams = teamsBefore;
+            return;
+        }
+        changed.forEach(c => Object.assign(this.state.acts.find(a => a.id === c.id), c));
+        this.saveState('Change teams of acts');
+        this.renderActs();
+        this.closeModal('bulkTeams');
+    }
+
+    deleteSelection() {
+        const acts = this.getSelectedActs();
+        if (!acts.length || !confirm(`Delete ${acts.length} act(s)?`)) return;
+        this.state.acts = this.state.acts.filter(a => !this.selection.has(a.id));
+        this.selection.clear();
+        this.saveState('Delete acts');
+        this.renderActs();
+        this.announce(`Deleted ${acts.length} act(s)`);
+    }
+
+    handleSelectionKeys(e) {
+        if (this.isReadOnly || e.defaultPrevented || this.modalStack.length) return;
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        const key = e.key.toLowerCase();
+
+        if (e.key === 'Escape') {
+            this.clearSelection();
+        } else if (e.ctrlKey || e.metaKey) {
+            const actions = {
+                c: () => this.copyActs(),
+                v: () => this.pasteActs(),
+                d: () => this.duplicateActs(),
+                a: () => this.setSelection(this.state.acts.filter(a => this.getActDay(a)?.id === this.currentDayId).map(a => a.id))
+            };
+            if (!actions[key] || e.shiftKey || e.altKey) return;
+            e.preventDefault();
+            actions[key]();
+        }
+    }
+
+    // Rubber-band selection, started on empty space in a stage column
+    handleLassoStart(e) {
+        if (this.isReadOnly || e.button !== 0 || e.pointerType === 'touch') return;
+        if (!e.target.classList.contains('stage-column')) return;
+        const container = this.dom.stagesContainer;
+        const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+        const base = additive ? new Set(this.selection) : new Set();
+        const origin = { x: e.clientX, y: e.clientY };
+        let box = null;
+
+        const move = (ev) => {
+            const rect = {
+                left: Math.min(origin.x, ev.clientX), right: Math.max(origin.x, ev.clientX),
+                top: Math.min(origin.y, ev.clientY), bottom: Math.max(origin.y, ev.clientY)
+            };
+            if (!box) {
+                if (rect.right - rect.left < 4 && rect.bottom - rect.top < 4) return;
+                box = document.createElement('div');
+                box.className = 'lasso';
+                container.appendChild(box);
+            }
+            const outer = container.getBoundingClientRect();
+            Object.assign(box.style, {
+                left: `${rect.left - outer.left}px`, top: `${rect.top - outer.top}px`,
+                width: `${rect.right - rect.left}px`, height: `${rect.bottom - rect.top}px`
+            });
+
+            const ids = new Set(base);
+            container.querySelectorAll('.act-card:not(.filtered-out)').forEach(card => {
+                const r = card.getBoundingClientRect();
+                if (r.left < rect.right && r.right > rect.left && r.top < rect.bottom && r.bottom > rect.top) ids.add(card.id);
+            });
+            this.setSelection(ids);
+        };
+        const end = () => {
+            window.removeEventListener('pointermove', move);
+            window.removeEventListener('pointerup', end);
+            // A plain click on empty space clears the selection
+            if (!box && !additive) this.clearSelection();
+            box?.remove();
+        };
+        window.addEventListener('pointermove', move);
+        window.addEventListener('pointerup', end);
+    }
+
+    getShiftMinutes() {
+        return Math.abs(parseInt(document.getElementById('selection-shift').value, 10)) || this.CONFIG.snapMinutes;
+    }
+
+    // --- Keyboard ---
+
+    /**
+     * Keys on a focused act card: arrows move it by snapMinutes or to the
+     * neighbouring stage, Shift+Up/Down changes its end, Enter edits, Delete removes.
+     */
+    handleActKeydown(e, act) {
+        if (e.target !== e.currentTarget || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const snap = this.CONFIG.snapMinutes;
+        // With several acts selected, Up/Down and Delete act on all of them
+        if (this.selection.size > 1 && this.selection.has(act.id)) {
+            if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && !e.shiftKey) {
+                e.preventDefault();
+                this.shiftSelection(e.key === 'ArrowUp' ? -snap : snap);
+                document.getElementById(act.id)?.focus();
+                return;
+            }
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                this.deleteSelection();
+                return;
+            }
+        }
+
+        const gridStart = this.CONFIG.startHour * 60;
+        const gridEnd = this.CONFIG.endHour * 60;
+        const { start, end } = this.getActRange(act);
+        let changes;
+        let label = 'Move act';
+
+        switch (e.key) {
+            case 'Enter':
+                e.preventDefault();
+                this.openEditModal(act);
+                return;
+            case 'Delete':
+            case 'Backspace':
+                e.preventDefault();
+                this.deleteAct(act);
+                return;
+            case 'ArrowUp':
+            case 'ArrowDown': {
+                const delta = e.key === 'ArrowUp' ? -snap : snap;
+                if (e.shiftKey) {
+                    const newEnd = Math.min(gridEnd, Math.max(start + snap, end + delta));
+                    changes = { endTime: this.formatTime(newEnd) };
+                    label = 'Resize act';
+                } else {
+                    const newStart = Math.max(gridStart, Math.min(start + delta, gridEnd - (end - start)));
+                    changes = { startTime: this.formatTime(newStart), endTime: this.formatTime(newStart + end - start) };
+                }
+                break;
+            }
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                const stages = this.getDayStages(this.getActDay(act)?.id);
+                const next = stages[stages.findIndex(st => st.id === act.stageId) + (e.key === 'ArrowLeft' ? -1 : 1)];
+                if (!next) return;
+                changes = { stageId: next.id };
+                break;
+            }
+            default:
+                return;
+        }
+        e.preventDefault();
+
+        if (Object.entries(changes).every(([key, value]) => act[key] === value)) return;
+        if (this.confirmConflicts({ ...act, ...changes })) {
+            Object.assign(act, changes);
+            this.saveState(label);
+        }
+        this.renderActs();
+
+        const card = document.getElementById(act.id);
+        card?.focus();
+        card?.scrollIntoView({ block: 'nearest' });
+        this.announce(`${act.name}: ${this.formatActTime(act)}, ${this.getStageLabel(this.getStage(act.stageId))}`);
+    }
+
+    // Reads a short message to screen reader users
+    announce(message) {
+        const status = document.getElementById('a11y-status');
+        status.textContent = '';
+        // Clearing first makes a repeated message be read again
+        setTimeout(() => { status.textContent = message; }, 50);
+    }
+
+    /**
+     * Calendar-style layout for acts that overlap on the same stage.
+     * Returns Map(actId -> { index, count }): the card's sub-column and how
+     * many sub-columns its group of overlapping acts needs.
+     */
+    layoutLanes(acts) {
+        const result = new Map();
+        const byStage = new Map();
+        acts.forEach(act => {
+            if (!byStage.has(act.stageId)) byStage.set(act.stageId, []);
+            byStage.get(act.stageId).push(act);
+        });
+
+        byStage.forEach(stageActs => {
+            const sorted = stageActs
+                .map(act => ({ act, ...this.getActRange(act) }))
+                .sort((a, b) => a.start - b.start || b.end - a.end);
+
+            let group = [];
+            let laneEnds = [];
+            let groupEnd = -Infinity;
+            const closeGroup = () => {
+                group.forEach(id => { result.get(id).count = laneEnds.length; });
+                group = [];
+                laneEnds = [];
+            };
+
+            sorted.forEach(({ act, start, end }) => {
+                // A gap after everything so far starts a new group
+                if (start >= groupEnd) closeGroup();
+                let index = laneEnds.findIndex(laneEnd => laneEnd <= start);
+                if (index < 0) index = laneEnds.length;
+                laneEnds[index] = end;
+                groupEnd = group.length ? Math.max(groupEnd, end) : end;
+                group.push(act.id);
+                result.set(act.id, { index, count: 1 });
+            });
+            closeGroup();
+        });
+        return result;
+    }
+
+    placeInLane(card, { index, count }) {
+        // Cards normally sit 6px from both column edges
+        card.style.left = `calc(6px + (100% - 12px) * ${index / count})`;
+        card.style.right = 'auto';
+        card.style.width = `calc((100% - 12px) / ${count} - 2px)`;
+        card.classList.add('in-lane');
+    }
+
+    positionCard(card, startMin, endMin) {
+        const offsetMin = startMin - this.CONFIG.startHour * 60;
+        const durationMin = endMin - startMin;
+
+        card.style.top = `${(offsetMin / 60) * this.CONFIG.pixelsPerHour}px`;
+        card.style.height = `${(durationMin / 60) * this.CONFIG.pixelsPerHour}px`;
+    }
+
+    // --- Actions ---
+
+    getDay(dayId) {
+        return this.state.days.find(d => d.id === dayId);
+    }
+
+    getStage(stageId) {
+        return this.state.stages.find(s => s.id === stageId);
+    }
+
+    getDayStages(dayId) {
+        return this.state.stages.filter(s => s.dayId === dayId);
+    }
+
+    getActDay(act) {
+        return this.getDay(this.getStage(act.stageId)?.dayId);
+    }
+
+    openDayModal(day = null) {
+        document.getElementById('day-id').value = day ? day.id : '';
+        document.getElementById('day-name').value = day ? day.name : `Day${this.state.days.length + 1}`;
+        document.getElementById('day-date').value = day?.date || '';
+        document.getElementById('day-modal-title').textContent = day ? 'Edit Day' : 'Add Day';
+        this.openModal('day');
+    }
+
+    handleDaySubmit(e) {
+        e.preventDefault();
+        const id = document.getElementById('day-id').value;
+        const data = {
+            name: document.getElementById('day-name').value.trim(),
+            date: document.getElementById('day-date').value
+        };
+        if (!data.name) return;
+
+        const day = this.getDay(id);
+        if (day) {
+            Object.assign(day, data);
+        } else {
+            // A new day starts with one stage so acts have somewhere to go
+            const newDay = { id: `day-${Date.now()}`, ...data };
+            this.state.days.push(newDay);
+            this.state.stages.push({ id: `stage-${Date.now()}`, dayId: newDay.id, name: 'Main Stage' });
+            this.currentDayId = newDay.id;
+        }
+
+        this.saveState(day ? 'Edit day' : 'Add day');
+        this.renderAll();
+        this.closeModal('day');
+    }
+
+    openStageModal(stage = null) {
+        const daySelect = document.getElementById('stage-day');
+        daySelect.innerHTML = '';
+        this.state.days.forEach(d => {
+            const opt = document.createElement('option');
+            opt.value = d.id;
+            opt.textContent = d.name;
+            daySelect.appendChild(opt);
+        });
+
+        const dayStages = this.getDayStages(this.currentDayId);
+        document.getElementById('stage-id').value = stage ? stage.id : '';
+        document.getElementById('stage-name').value = stage ? stage.name : `Stage ${dayStages.length + 1}`;
+        document.getElementById('stage-venue').value = stage?.venue || '';
+        daySelect.value = stage ? stage.dayId : this.currentDayId;
+        document.getElementById('stage-modal-title').textContent = stage ? 'Edit Stage' : 'Add Stage';
+        this.openModal('stage');
+    }
+
+    handleStageSubmit(e) {
+        e.preventDefault();
+        const id = document.getElementById('stage-id').value;
+        const data = {
+            name: document.getElementById('stage-name').value.trim(),
+            dayId: document.getElementById('stage-day').value,
+            venue: document.getElementById('stage-venue').value.trim()
+        };
+        if (!data.name || !data.dayId) return;
+
+        const stage = this.getStage(id);
+        if (stage) {
+            Object.assign(stage, data);
+        } else {
+            this.state.stages.push({ id: `stage-${Date.now()}`, ...data });
+        }
+
+        this.saveState(stage ? 'Edit stage' : 'Add stage');
+        this.renderStages();
+        this.renderActs(); // Re-render acts to attach to new DOM elements
+        this.closeModal('stage');
+    }
+
+    formatDayDate(day) {
+        if (!day?.date) return '';
+        const d = new Date(`${day.date}T00:00:00`);
+        if (isNaN(d)) return day.date;
+        return d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric', weekday: 'short' });
+    }
+
+    getStageLabel(stage) {
+        if (!stage) return 'Unknown';
+        const day = this.getDay(stage.dayId);
+        return [day?.name, this.formatDayDate(day), stage.name, stage.venue].filter(Boolean).join(' · ');
+    }
+
+    // --- Drag & Drop ---
+
+    // Pointer-based so it works the same for mouse, pen and touch.
+    // Touch needs a long press to pick an act up; otherwise the gesture scrolls.
+    handleDragStart(e, act) {
+        if (!e.isPrimary || e.button !== 0 || this.resizeState) return;
+
+        const card = e.currentTarget;
+        const rect = card.getBoundingClientRect();
+        this.dragState = {
+            act, card,
+            pointerId: e.pointerId,
+            isTouch: e.pointerType === 'touch',
+            startX: e.clientX,
+            startY: e.clientY,
+            clientX: e.clientX,
+            clientY: e.clientY,
+            offsetX: e.clientX - rect.left,
+            offsetY: e.clientY - rect.top,
+            active: false,
+            ghost: null,
+            target: null,
+            longPressTimer: null,
+            scrollFrame: null
+        };
+
+        if (this.dragState.isTouch) {
+            this.dragState.longPressTimer = setTimeout(() => this.activateDrag(), this.CONFIG.longPressMs);
+        }
+
+        this.onDragMove = (ev) => this.handleDragOver(ev);
+        this.onDragEnd = (ev) => this.handleDrop(ev);
+        this.onDragCancel = () => this.cancelDrag();
+        window.addEventListener('pointermove', this.onDragMove);
+        window.addEventListener('pointerup', this.onDragEnd);
+        window.addEventListener('pointercancel', this.onDragCancel);
+    }
+
+    activateDrag() {
+        const ds = this.dragState;
+        if (!ds || ds.active) return;
+        ds.active = true;
+
+        const rect = ds.card.getBoundingClientRect();
+        const ghost = ds.card.cloneNode(true);
+        ghost.removeAttribute('id');
+        ghost.classList.add('drag-ghost');
+        Object.assign(ghost.style, { width: `${rect.width}px`, height: `${rect.height}px`, top: '0', left: '0' });
+        document.body.appendChild(ghost);
+        ds.ghost = ghost;
+
+        ds.card.style.opacity = '0.5';
+        document.body.classList.add('dragging-act');
+        if (ds.isTouch && navigator.vibrate) navigator.vibrate(10);
+
+        this.updateDragPosition();
+        this.autoScrollLoop();
+    }
+
+    handleDragOver(e) {
+        const ds = this.dragState;
+        if (!ds || e.pointerId !== ds.pointerId) return;
+        ds.clientX = e.clientX;
+        ds.clientY = e.clientY;
+
+        if (!ds.active) {
+            const moved = Math.hypot(e.clientX - ds.startX, e.clientY - ds.startY) > this.CONFIG.dragThreshold;
+            if (!moved) return;
+            // Moving before the long press fires means the user is scrolling
+            if (ds.isTouch) {
+                this.cancelDrag();
+                return;
+            }
+            this.activateDrag();
+        }
+
+        e.preventDefault();
+        this.updateDragPosition();
+    }
+
+    updateDragPosition() {
+        const ds = this.dragState;
+        ds.ghost.style.transform = `translate(${ds.clientX - ds.offsetX}px, ${ds.clientY - ds.offsetY}px)`;
+
+        const col = document.elementFromPoint(ds.clientX, ds.clientY)?.closest('.stage-column');
+        if (ds.target !== col) {
+            ds.target?.classList.remove('drop-target');
+            col?.classList.add('drop-target');
+            ds.target = col;
+        }
+
+        const times = ds.ghost.querySelector('.act-time');
+        if (times) {
+            const range = col ? this.getDropRange(ds.act, col, ds.clientY - ds.offsetY) : this.getActRange(ds.act);
+            times.textContent = `${this.formatClock(range.start)} - ${this.formatClock(range.end)}`;
+        }
+    }
+
+    // Scrolls the workspace while the pointer is held near its edges
+    autoScrollLoop() {
+        const ds = this.dragState;
+        if (!ds?.active) return;
+
+        const workspace = document.getElementById('capture-target');
+        const rect = workspace.getBoundingClientRect();
+        const edge = this.CONFIG.autoScrollEdge;
+        const speed = (dist) => Math.ceil(((edge - dist) / edge) * 20);
+
+        let dx = 0;
+        let dy = 0;
+        if (ds.clientY < rect.top + edge) dy = -speed(ds.clientY - rect.top);
+        else if (ds.clientY > rect.bottom - edge) dy = speed(rect.bottom - ds.clientY);
+        if (ds.clientX < rect.left + edge) dx = -speed(ds.clientX - rect.left);
+        else if (ds.clientX > rect.right - edge) dx = speed(rect.right - ds.clientX);
+
+        if (dx || dy) {
+            workspace.scrollBy(dx, dy);
+            this.updateDragPosition();
+        }
+        ds.scrollFrame = requestAnimationFrame(() => this.autoScrollLoop());
+    }
+
+    /**
+     * Snapped and clamped time range for `act` if its top edge is dropped
+     * at `clientTop` inside the stage column `col`.
+     */
+    getDropRange(act, col, clientTop) {
+        const stageRect = col.getBoundingClientRect();
+        const relativeY = clientTop - stageRect.top;
+
+        // Calculate time
+        const minutesFromStart = (relativeY / this.CONFIG.pixelsPerHour) * 60;
+        const snappedMinutes = Math.round(minutesFromStart / this.CONFIG.snapMinutes) * this.CONFIG.snapMinutes;
+
+        // Current Duration
+        const { start: cStart, end: cEnd } = this.getActRange(act);
+        const durationMin = cEnd - cStart;
+
+        const newStartTotalMin = (this.CONFIG.startHour * 60) + snappedMinutes;
+
+        // Clamp
+        const globalStartMin = this.CONFIG.startHour * 60;
+        const globalEndMin = this.CONFIG.endHour * 60;
+
+        const clampedStartMin = Math.max(globalStartMin, Math.min(newStartTotalMin, globalEndMin - durationMin));
+        return { start: clampedStartMin, end: clampedStartMin + durationMin };
+    }
+
+    handleDrop(e) {
+        const ds = this.dragState;
+        if (!ds || e.pointerId !== ds.pointerId) return;
+        const { act, active, target } = ds;
+        const clientTop = e.clientY - ds.offsetY;
+        this.cancelDrag();
+
+        // A press without a drag falls through to the card's click handler
+        if (!active) return;
+        this.suppressClick = true;
+        setTimeout(() => { this.suppressClick = false; }, 0);
+
+        if (!target) {
+            this.renderActs();
+            return;
+        }
+
+        const range = this.getDropRange(act, target, clientTop);
+
+        // A selected group moves together, keeping its layout across stages
+        if (this.selection.size > 1 && this.selection.has(act.id)) {
+            const stageIds = this.getGroupStageIds(this.getSelectedActs(), act.stageId, target.id);
+            if (!stageIds) {
+                alert('Not enough stages there for the whole selection.');
+                this.renderActs();
+                return;
+            }
+            this.shiftSelection(range.start - this.getActRange(act).start, stageIds);
+            return;
+        }
+
+        const changes = {
+            stageId: target.id,
+            startTime: this.formatTime(range.start),
+            endTime: this.formatTime(range.end)
+        };
+
+        if (!this.confirmConflicts({ ...act, ...changes })) {
+            this.renderActs();
+            return;
+        }
+
+        Object.assign(act, changes);
+        this.saveState('Move act');
+        this.renderActs();
+    }
+
+    cancelDrag() {
+        const ds = this.dragState;
+        if (!ds) return;
+
+        clearTimeout(ds.longPressTimer);
+        cancelAnimationFrame(ds.scrollFrame);
+        ds.ghost?.remove();
+        ds.target?.classList.remove('drop-target');
+        ds.card.style.opacity = '';
+        document.body.classList.remove('dragging-act');
+
+        window.removeEventListener('pointermove', this.onDragMove);
+        window.removeEventListener('pointerup', this.onDragEnd);
+        window.removeEventListener('pointercancel', this.onDragCancel);
+        this.dragState = null;
+    }
+
+    toMinutes(time) {
+        const [h, m] = time.split(':').map(Number);
+        return h * 60 + m;
+    }
+
+    getActRange(act) {
+        return {
+            start: this.toMinutes(act.startTime),
+            end: this.toMinutes(act.endTime)
+        };
+    }
+
+    // --- Resize ---
+
+    handleResizeStart(e, act, edge) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const { start, end } = this.getActRange(act);
+        const tooltip = document.createElement('div');
+        tooltip.className = 'resize-tooltip';
+        document.body.appendChild(tooltip);
+
+        this.resizeState = {
+            act, edge, start, end,
+            card: e.target.closest('.act-card'),
+            startY: e.clientY,
+            newStart: start,
+            newEnd: end,
+            tooltip
+        };
+        this.resizeState.card.classList.add('resizing');
+
+        this.onResizeMove = (ev) => this.handleResizeMove(ev);
+        this.onResizeEnd = () => this.handleResizeEnd();
+        // Touch scrolling or lost capture cancels the resize and keeps the old times
+        this.onResizeCancel = () => this.handleResizeEnd(true);
+        window.addEventListener('pointermove', this.onResizeMove);
+        window.addEventListener('pointerup', this.onResizeEnd);
+        window.addEventListener('pointercancel', this.onResizeCancel);
+        this.handleResizeMove(e);
+    }
+
+    handleResizeMove(e) {
+        const rs = this.resizeState;
+        if (!rs) return;
+
+        const snap = this.CONFIG.snapMinutes;
+        const deltaMin = ((e.clientY - rs.startY) / this.CONFIG.pixelsPerHour) * 60;
+        const snappedDelta = Math.round(deltaMin / snap) * snap;
+
+        if (rs.edge === 'start') {
+            rs.newStart = Math.max(this.CONFIG.startHour * 60, Math.min(rs.start + snappedDelta, rs.end - snap));
+        } else {
+            rs.newEnd = Math.min(this.CONFIG.endHour * 60, Math.max(rs.end + snappedDelta, rs.start + snap));
+        }
+
+        this.positionCard(rs.card, rs.newStart, rs.newEnd);
+        rs.tooltip.textContent = `${this.formatClock(rs.newStart)} - ${this.formatClock(rs.newEnd)}`;
+        rs.tooltip.style.left = `${e.clientX + 14}px`;
+        rs.tooltip.style.top = `${e.clientY + 14}px`;
+    }
+
+    handleResizeEnd(cancelled = false) {
+        const rs = this.resizeState;
+        window.removeEventListener('pointermove', this.onResizeMove);
+        window.removeEventListener('pointerup', this.onResizeEnd);
+        window.removeEventListener('pointercancel', this.onResizeCancel);
+        this.resizeState = null;
+        if (!rs) return;
+
+        rs.tooltip.remove();
+        rs.card.classList.remove('resizing');
+        if (cancelled) {
+            this.positionCard(rs.card, rs.start, rs.end);
+            return;
+        }
+
+        // The click that follows pointerup must not open the edit modal
+        this.suppressClick = true;
+        setTimeout(() => { this.suppressClick = false; }, 0);
+
+        if (rs.newStart === rs.start && rs.newEnd === rs.end) return;
+
+        const changes = {
+            startTime: this.formatTime(rs.newStart),
+            endTime: this.formatTime(rs.newEnd)
+        };
+        if (this.confirmConflicts({ ...rs.act, ...changes })) {
+            Object.assign(rs.act, changes);
+            this.saveState('Resize act');
+        }
+        this.renderActs();
+    }
+
+    // Times past midnight keep counting ("25:30") so they sort after the evening
+    formatTime(totalMin) {
+        const h = Math.floor(totalMin / 60);
+        const m = totalMin % 60;
+        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    }
+
+    // Display form of a time: "25:30" is shown as "01:30 +1"
+    formatClock(totalMin) {
+        const days = Math.floor(totalMin / 1440);
+        return `${this.formatTime(totalMin % 1440)}${days ? ` +${days}` : ''}`;
+    }
+
+    formatActTime(act) {
+        const { start, end } = this.getActRange(act);
+        return `${this.formatClock(start)} - ${this.formatClock(end)}`;
+    }
+
+    // --- Teams ---
+
+    parseTeams(str) {
+        if (!str) return [];
+        return str.split(',').map(t => t.trim()).filter(Boolean);
+    }
+
+    getTeam(teamId) {
+        return this.state.teams.find(t => t.id === teamId);
+    }
+
+    // Team names are matched case-insensitively
+    findTeamByName(name, teams = this.state.teams) {
+        const key = name.trim().toLowerCase();
+        return teams.find(t => t.name.toLowerCase() === key);
+    }
+
+    // Catches typos like "Squash" vs "Squash!" by ignoring punctuation and spaces
+    findSimilarTeam(name) {
+        const normalize = (str) => str.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+        return this.state.teams.find(t => normalize(t.name) === normalize(name));
+    }
+
+    teamNames(teamIds = [], teams = this.state.teams) {
+        return teamIds.map(id => teams.find(t => t.id === id)?.name).filter(Boolean);
+    }
+
+    getActTeams(act) {
+        return this.teamNames(act.teamIds);
+    }
+
+    getMemberTeams(member) {
+        return this.teamNames(member.teamIds);
+    }
+
+    getAllTeams() {
+        return [...this.state.teams].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getTeamActs(teamId) {
+        return this.state.acts.filter(a => (a.teamIds || []).includes(teamId));
+    }
+
+    getMemberActs(member) {
+        return this.state.acts.filter(a => (a.teamIds || []).some(id => member.teamIds.includes(id)));
+    }
+
+    /**
+     * Asks before team names that don't exist yet are created.
+     * Returns false if the user cancels.
+     */
+    confirmNewTeams(names) {
+        const missing = names.filter(n => !this.findTeamByName(n));
+        if (!missing.length) return true;
+
+        const lines = missing.map(n => {
+            const similar = this.findSimilarTeam(n);
+            return `- ${n}${similar ? ` (similar to existing "${similar.name}")` : ''}`;
+        });
+        return confirm(`Create new team(s)?\n${lines.join('\n')}`);
+    }
+
+    // Maps names to team ids, creating teams that don't exist yet
+    resolveTeamIds(names) {
+        return names.map((name, i) => {
+            let team = this.findTeamByName(name);
+            if (!team) {
+                team = { id: `team-${Date.now()}-${i}`, name: name.trim(), color: this.getRandomColor(), type: 'quartet' };
+                this.state.teams.push(team);
+            }
+            return team.id;
+        });
+    }
+
+    // --- Team Picker ---
+
+    // Multi-select for teams: chips plus a text input with datalist autocomplete
+    initTeamPicker(picker) {
+        const input = picker.querySelector('.team-picker-input');
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                this.flushTeamPicker(picker);
+            } else if (e.key === 'Backspace' && !input.value) {
+                picker.querySelector('.team-chip:last-of-type')?.remove();
+            }
+        });
+        input.addEventListener('input', (e) => {
+            // Choosing a datalist suggestion inserts the whole name at once
+            if (e.inputType === 'insertReplacementText' || e.inputType === undefined) {
+                if (this.findTeamByName(input.value)) this.flushTeamPicker(picker);
+            }
+        });
+        input.addEventListener('blur', () => this.flushTeamPicker(picker));
+        picker.addEventListener('click', (e) => {
+            const remove = e.target.closest('.team-chip-remove');
+            if (remove) remove.parentElement.remove();
+            else input.focus();
+        });
+    }
+
+    flushTeamPicker(picker) {
+        const input = picker.querySelector('.team-picker-input');
+        this.parseTeams(input.value).forEach(name => this.addPickerTeam(picker, name));
+        input.value = '';
+    }
+
+    setPickerTeams(picker, names) {
+        picker.querySelectorAll('.team-chip').forEach(chip => chip.remove());
+        picker.querySelector('.team-picker-input').value = '';
+        names.forEach(name => this.addPickerTeam(picker, name));
+    }
+
+    addPickerTeam(picker, name) {
+        const team = this.findTeamByName(name);
+        name = team ? team.name : name.trim();
+        if (!name || this.getPickerTeams(picker, false).includes(name)) return;
+
+        const chip = document.createElement('span');
+        chip.className = `team-chip${team ? '' : ' new'}`;
+        chip.dataset.name = name;
+        chip.title = team ? '' : 'New team';
+        if (team) chip.style.borderColor = team.color;
+        chip.innerHTML = `${name}<button type="button" class="team-chip-remove" aria-label="Remove ${name}">×</button>`;
+        picker.insertBefore(chip, picker.querySelector('.team-picker-input'));
+    }
+
+    getPickerTeams(picker, flush = true) {
+        if (flush) this.flushTeamPicker(picker);
+        return [...picker.querySelectorAll('.team-chip')].map(chip => chip.dataset.name);
+    }
+
+    refreshTeamOptions() {
+        const list = document.getElementById('team-options');
+        list.innerHTML = '';
+        this.getAllTeams().forEach(t => {
+            const opt = document.createElement('option');
+            opt.value = t.name;
+            list.appendChild(opt);
+        });
+    }
+
+    // --- Team Management ---
+
+    openTeamsModal() {
+        this.renderTeamsList();
+        this.clearTeamForm();
+        this.openModal('teams');
+    }
+
+    renderTeamsList() {
+        const tbody = document.getElementById('teams-list-body');
+        tbody.innerHTML = '';
+        this.getAllTeams().forEach(team => {
+            const acts = this.getTeamActs(team.id).length;
+            const members = this.state.members.filter(m => m.teamIds.includes(team.id)).length;
+            const tr = document.createElement('tr');
+            tr.style.borderBottom = '1px solid rgba(255,255,255,0.05)';
+            tr.innerHTML = `
+                <td style="padding: 10px;"><span class="team-swatch" style="background: ${team.color}"></span>${team.name}</td>
+                <td style="padding: 10px; font-size: 0.85rem; color: #9ca3af;">${team.type}</td>
+                <td style="padding: 10px; font-size: 0.85rem; color: #9ca3af;">${acts} acts · ${members} members</td>
+                <td style="padding: 10px; text-align: right;">
+                    <button class="btn outline edit-team-trigger" data-id="${team.id}" style="padding: 4px 8px; font-size: 0.75rem;">Edit</button>
+                </td>
+            `;
+            tbody.appendChild(tr);
+        });
+
+        tbody.querySelectorAll('.edit-team-trigger').forEach(btn => {
+            btn.onclick = () => this.editTeam(btn.dataset.id);
+        });
+    }
+
+    editTeam(id) {
+        const team = this.getTeam(id);
+        if (!team) return;
+        document.getElementById('team-id').value = team.id;
+        document.getElementById('team-name').value = team.name;
+        document.getElementById('team-color').value = team.color;
+        document.getElementById('team-type').value = team.type;
+        document.getElementById('team-delete').style.display = 'inline-flex';
+    }
+
+    clearTeamForm() {
+        document.getElementById('team-id').value = '';
+        document.getElementById('team-name').value = '';
+        document.getElementById('team-color').value = this.getRandomColor();
+        document.getElementById('team-type').value = 'quartet';
+        document.getElementById('team-delete').style.display = 'none';
+    }
+
+    handleTeamSubmit(e) {
+        e.preventDefault();
+        const id = document.getElementById('team-id').value;
+        const data = {
+            name: document.getElementById('team-name').value.trim(),
+            color: document.getElementById('team-color').value,
+            type: document.getElementById('team-type').value
+        };
+        if (!data.name) return;
+
+        const team = this.getTeam(id);
+        const clash = this.findTeamByName(data.name);
+        if (clash && clash !== team) {
+            // Renaming onto an existing name merges the two teams
+            if (!team || !confirm(`"${clash.name}" already exists. Merge "${team.name}" into it?`)) return;
+            this.replaceTeam(team.id, clash.id);
+            this.saveState('Merge teams');
+        } else if (team) {
+            Object.assign(team, data);
+            this.saveState('Edit team');
+        } else {
+            this.state.teams.push({ id: `team-${Date.now()}`, ...data });
+            this.saveState('Add team');
+        }
+
+        this.renderTeamsList();
+        this.clearTeamForm();
+        this.renderActs();
+    }
+
+    handleTeamDelete() {
+        const id = document.getElementById('team-id').value;
+        const team = this.getTeam(id);
+        if (!team) return;
+        const acts = this.getTeamActs(id).length;
+        const members = this.state.members.filter(m => m.teamIds.includes(id)).length;
+        if (!confirm(`Delete team "${team.name}"? It will be removed from ${acts} act(s) and ${members} member(s).`)) return;
+
+        this.replaceTeam(id, null);
+        this.saveState('Delete team');
+        this.renderTeamsList();
+        this.clearTeamForm();
+        this.renderActs();
+    }
+
+    // Points every reference to `fromId` at `toId` (or drops it) and removes the old team
+    replaceTeam(fromId, toId) {
+        const swap = (ids) => [...new Set(ids.map(id => (id === fromId ? toId : id)).filter(Boolean))];
+        this.state.acts.forEach(a => { a.teamIds = swap(a.teamIds); });
+        this.state.members.forEach(m => { m.teamIds = swap(m.teamIds); });
+        this.state.teams = this.state.teams.filter(t => t.id !== fromId);
+    }
+
+    // --- Conflicts ---
+
+    /**
+     * Finds pairs of overlapping acts on the same day that share a team,
+     * or that share a member through different teams.
+     * Returns [{ type: 'team' | 'member', a, b, names: [] }]
+     */
+    findConflicts(acts = this.state.acts) {
+        const conflicts = [];
+
+        for (let i = 0; i < acts.length; i++) {
+            for (let j = i + 1; j < acts.length; j++) {
+                const a = acts[i];
+                const b = acts[j];
+                if (this.getActDay(a) !== this.getActDay(b) || !this.actsOverlap(a, b)) continue;
+
+                const teamsA = a.teamIds || [];
+                const teamsB = b.teamIds || [];
+
+                const sharedTeams = teamsA.filter(t => teamsB.includes(t));
+                if (sharedTeams.length) {
+                    conflicts.push({ type: 'team', a, b, names: this.teamNames(sharedTeams) });
+                }
+
+                // Members already covered by a shared team are not reported twice
+                const members = this.state.members.filter(m =>
+                    m.teamIds.some(t => teamsA.includes(t)) &&
+                    m.teamIds.some(t => teamsB.includes(t)) &&
+                    !m.teamIds.some(t => sharedTeams.includes(t))
+                );
+                if (members.length) {
+                    conflicts.push({ type: 'member', a, b, names: members.map(m => m.name) });
+                }
+            }
+        }
+
+        return conflicts;
+    }
+
+    actsOverlap(a, b) {
+        const rangeA = this.getActRange(a);
+        const rangeB = this.getActRange(b);
+        return rangeA.start < rangeB.end && rangeB.start < rangeA.end;
+    }
+
+    getConflictsForAct(actId) {
+        return (this.conflicts || []).filter(c => c.a.id === actId || c.b.id === actId);
+    }
+
+    conflictKey(c) {
+        return [c.type, ...[c.a.id, c.b.id].sort(), ...c.names].join('|');
+    }
+
+    describeConflict(c) {
+        const label = c.type === 'team' ? 'Team' : 'Member';
+        return `${label} ${c.names.join(', ')}: ${c.a.name} (${this.formatActTime(c.a)}) ↔ ${c.b.name} (${this.formatActTime(c.b)})`;
+    }
+
+    // Conflicts that replacing acts with `candidates` would add to the schedule
+    getIntroducedConflicts(candidates) {
+        const ids = new Set(candidates.map(a => a.id));
+        const before = new Set(this.findConflicts().map(c => this.conflictKey(c)));
+        const acts = this.state.acts.filter(a => !ids.has(a.id)).concat(candidates);
+        return this.findConflicts(acts)
+            .filter(c => (ids.has(c.a.id) || ids.has(c.b.id)) && !before.has(this.conflictKey(c)));
+    }
+
+    /**
+     * Asks for confirmation if saving `candidate` (one act or a list of them)
+     * would introduce new conflicts. Returns true if the change may proceed.
+     */
+    confirmConflicts(candidate) {
+        const introduced = this.getIntroducedConflicts([].concat(candidate));
+        if (!introduced.length) return true;
+        const lines = introduced.map(c => `- ${this.describeConflict(c)}`).join('\n');
+        return confirm(`This change creates conflicts:\n${lines}\n\nSave anyway?`);
+    }
+
+    renderConflictBadge() {
+        const btn = this.dom.buttons.conflicts;
+        if (!btn) return;
+        const count = this.conflicts.length;
+        btn.textContent = `⚠️ Conflicts${count ? ` (${count})` : ''}`;
+        btn.classList.toggle('has-conflicts', count > 0);
+    }
+
+    openConflictsModal() {
+        const list = document.getElementById('conflicts-list');
+        list.innerHTML = '';
+
+        if (!this.conflicts.length) {
+            list.innerHTML = '<div style="text-align:center; padding: 20px; opacity:0.5">No conflicts found.</div>';
+        }
+
+        this.conflicts.forEach(c => {
+            const day = this.getActDay(c.a)?.name || 'Unknown';
+            const item = document.createElement('div');
+            item.className = 'conflict-item';
+            item.innerHTML = `
+                <div class="conflict-type">${c.type === 'team' ? 'Team' : 'Member'} · ${day}</div>
+                <div class="conflict-names">${c.names.join(', ')}</div>
+                <div class="conflict-acts">
+                    <button type="button" class="btn outline" data-id="${c.a.id}">${c.a.name} ${this.formatActTime(c.a)}</button>
+                    <button type="button" class="btn outline" data-id="${c.b.id}">${c.b.name} ${this.formatActTime(c.b)}</button>
+                </div>
+            `;
+            list.appendChild(item);
+        });
+
+        list.querySelectorAll('button[data-id]').forEach(btn => {
+            btn.onclick = () => {
+                const act = this.state.acts.find(a => a.id === btn.dataset.id);
+                this.closeModal('conflicts');
+                if (act) this.openEditModal(act);
+            };
+        });
+
+        this.openModal('conflicts');
+    }
+
+    // --- Modals ---
 
     openEditModal(act = null) {
-        const m = this.dom.modals.edit;
-        m.classList.remove('hidden');
+        this.populateStageSelect(document.getElementById('act-stage'));
+        this.refreshTeamOptions();
+        if (act) {
+            document.getElementById('act-id').value = act.id;
+            document.getElementById('act-stage').value = act.stageId;
+            document.getElementById('act-name').value = act.name;
+            this.setPickerTeams(document.getElementById('act-teams'), this.getActTeams(act));
+            const { start, end } = this.getActRange(act);
+            document.getElementById('act-start').value = this.formatTime(start % 1440);
+            document.getElementById('act-end').value = this.formatTime(end % 1440);
+            document.getElementById('act-after-midnight').checked = start >= 1440;
+            document.getElementById('act-color').value = act.color;
+            document.getElementById('act-location').value = act.location || '';
+            document.getElementById('act-contact').value = act.contact || '';
+            document.getElementById('act-notes').value = act.notes || '';
+            document.getElementById('act-private').checked = this.isPrivateAct(act);
+            document.getElementById('modal-delete').style.display = 'block';
+            document.getElementById('modal-ripple').style.display = 'block';
+        } else {
+            document.getElementById('act-id').value = '';
+            document.getElementById('act-stage').value = this.getDayStages(this.currentDayId)[0]?.id || '';
+            document.getElementById('act-name').value = 'New Act';
+            this.setPickerTeams(document.getElementById('act-teams'), []);
+            document.getElementById('act-start').value = '12:00';
+            document.getElementById('act-end').value = '13:00';
+            document.getElementById('act-after-midnight').checked = false;
+            document.getElementById('act-color').value = this.getRandomColor();
+            document.getElementById('act-location').value = '';
+            document.getElementById('act-contact').value = '';
+            document.getElementById('act-notes').value = '';
+            document.getElementById('act-private').checked = false;
+            document.getElementById('modal-delete').style.display = 'none';
+            document.getElementById('modal-ripple').style.display = 'none';
+        }
+        this.openModal('edit');
+    }
+
+    // Options grouped by day, e.g. "Day2 > Main Stage"
+    populateStageSelect(select) {
+        select.innerHTML = '';
+        this.state.days.forEach(day => {
+            const group = document.createElement('optgroup');
+            group.label = day.name;
+            this.getDayStages(day.id).forEach(stage => {
+                const opt = document.createElement('option');
+                opt.value = stage.id;
+                opt.textContent = `${day.name} · ${stage.name}`;
+                group.appendChild(opt);
+            });
+            select.appendChild(group);
+        });
+    }
+
+    /**
+     * Shows a modal as an accessible dialog: focus moves into it, Tab stays
+     * inside and Escape closes it. Focus returns to where it was on close.
+     */
+    openModal(modalName) {
+        this.hideActPopover();
+        const modal = this.dom.modals[modalName];
+        if (!modal) return;
+
+        const title = modal.querySelector('h2');
+        if (title && !title.id) title.id = `${modal.id}-title`;
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        if (title) modal.setAttribute('aria-labelledby', title.id);
+        modal.classList.remove('hidden');
+
+        if (!this.modalStack.some(m => m.name === modalName)) {
+            const returnFocus = document.activeElement;
+            this.modalStack.push({ name: modalName, returnFocus, returnId: returnFocus?.id });
+        }
+        const first = modal.querySelector('[autofocus]') || this.getFocusable(modal)[0];
+        first?.focus();
+    }
+
+    closeModal(modalName) {
+        if (this.dom.modals[modalName]) {
+            this.dom.modals[modalName].classList.add('hidden');
+        }
+        if (modalName === 'batchExport') this.batchRun = null;
+
+        const index = this.modalStack.findIndex(m => m.name === modalName);
+        if (index < 0) return;
+        const [{ returnFocus, returnId }] = this.modalStack.splice(index, 1);
+        // Re-rendered elements (act cards) are found again by id
+        const target = returnFocus?.isConnected ? returnFocus : (returnId && document.getElementById(returnId));
+        if (target && target !== document.body) target.focus();
+    }
+
+    getFocusable(container) {
+        return [...container.querySelectorAll('input, select, textarea, button, [href], [tabindex]:not([tabindex="-1"])')]
+            .filter(el => !el.disabled && el.type !== 'hidden' && el.offsetParent !== null);
+    }
+
+    handleModalKeys(e) {
+        const top = this.modalStack[this.modalStack.length - 1];
+        if (!top) return;
+        const modal = this.dom.modals[top.name];
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeModal(top.name);
+        } else if (e.key === 'Tab') {
+            const focusable = this.getFocusable(modal);
+            if (!focusable.length) return;
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && (document.activeElement === first || !modal.contains(document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !modal.contains(document.activeElement))) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    }
+
+    getRandomColor() {
+        const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
+        return colors[Math.floor(Math.random() * colors.length)];
+    }
+
+    // --- Form Handlers ---
+
+    handleActSubmit(e) {
+        e.preventDefault();
+        this.saveActForm();
+    }
+
+    // Saves the edit form; returns false if it was invalid or the user cancelled
+    saveActForm() {
+        const id = document.getElementById('act-id').value;
+        const data = {
+            stageId: document.getElementById('act-stage').value,
+            name: document.getElementById('act-name').value.trim(),
+            ...this.readActFormTimes(),
+            color: document.getElementById('act-color').value
+        };
+
+        if (!data.name) {
+            alert('Enter a name for the act.');
+            return false;
+        }
+        if (!data.stageId) {
+            alert('Add a stage first.');
+            return false;
+        }
+
+        const rangeError = this.getActRangeError(data);
+        if (rangeError) {
+            alert(rangeError);
+            return false;
+        }
+
+        const teamNames = this.getPickerTeams(document.getElementById('act-teams'));
+        if (!this.confirmNewTeams(teamNames)) return false;
+        const teamsBefore = [...this.state.teams];
+        data.teamIds = this.resolveTeamIds(teamNames);
+
+        const act = id ? this.state.acts.find(a => a.id === id) : null;
+        const candidate = act
+            ? { ...act, ...data }
+            : { id: `act-${Date.now()}`, ...data };
+        this.applyActDetails(candidate, this.readActFormDetails());
+
+        if (!this.confirmConflicts(candidate)) {
+            this.state.teams = teamsBefore; // Drop teams created for the cancelled save
+            return false;
+        }
+
         if (act) {
-            document.getElementById('act-id').value = act.id;
-            document.getElementById('act-name').value = act.name;
-            document.getElementById('act-category').value = act.category || '';
-            document.getElementById('act-start').value = act.startTime;
-            document.getElementById('act-end').value = act.endTime;
-            document.getElementById('act-color').value = act.color;
-            document.getElementById('modal-delete').style.display = 'block';
+            Object.assign(act, data);
+            this.applyActDetails(act, this.readActFormDetails());
         } else {
-            document.getElementById('act-id').value = '';
-            document.getElementById('act-name').value = 'New Act';
-            document.getElementById('act-category').value = '';
-            document.getElementById('act-start').value = '12:00';
-            document.getElementById('act-end').value = '13:00';
-            document.getElementById('act-color').value = this.getRandomColor();
-            document.getElementById('modal-delete').style.display = 'none';
+            this.state.acts.push(candidate);
+        }
+        this.saveState('Save act');
+        this.renderActs();
+        this.closeModal('edit');
+        return true;
+    }
+
+    // Saved times must fit the grid and stay below 48:00, the latest time a project file allows
+    getActRangeError(act) {
+        const { start, end } = this.getActRange(act);
+        const first = this.CONFIG.startHour * 60;
+        const last = Math.min(this.CONFIG.endHour * 60, 48 * 60 - 1);
+        if (end <= start) return 'The end time must be after the start time.';
+        if (start < first || end > last) {
+            return `Times must fall between ${this.formatClock(first)} and ${this.formatClock(last)}.`;
+        }
+        return '';
+    }
+
+    // An end time before the start means the act runs past midnight
+    readActFormTimes() {
+        const offset = document.getElementById('act-after-midnight').checked ? 1440 : 0;
+        const start = this.toMinutes(document.getElementById('act-start').value) + offset;
+        let end = this.toMinutes(document.getElementById('act-end').value) + offset;
+        if (end < start) end += 1440;
+        return { startTime: this.formatTime(start), endTime: this.formatTime(end) };
+    }
+
+    handleActDelete() {
+        const act = this.state.acts.find(a => a.id === document.getElementById('act-id').value);
+        if (act && this.deleteAct(act)) this.closeModal('edit');
+    }
+
+    // Returns false if the user cancels
+    deleteAct(act) {
+        if (!confirm(`Delete "${act.name}"?`)) return false;
+        const neighbour = this.state.acts.find(a => a !== act && a.stageId === act.stageId);
+        this.state.acts = this.state.acts.filter(a => a.id !== act.id);
+        this.saveState('Delete act');
+        this.renderActs();
+        this.announce(`Deleted ${act.name}`);
+        // Keep keyboard users inside the grid
+        if (neighbour && (!document.activeElement || document.activeElement === document.body)) {
+            document.getElementById(neighbour.id)?.focus();
+        }
+        return true;
+    }
+
+    // --- Ripple Shift ---
+
+    // Acts on the same stage that start after `act`, in order
+    getFollowingActs(act) {
+        const start = this.getActRange(act).start;
+        return this.state.acts
+            .filter(a => a.id !== act.id && a.stageId === act.stageId && this.getActRange(a).start > start)
+            .sort((a, b) => this.getActRange(a).start - this.getActRange(b).start);
+    }
+
+    openRippleModal(act) {
+        this.rippleActId = act.id;
+        const stage = this.getStage(act.stageId);
+        document.getElementById('ripple-source').textContent =
+            `After "${act.name}" (${this.formatActTime(act)}) on ${stage?.name || 'this stage'}`;
+        document.getElementById('ripple-minutes').value = this.CONFIG.snapMinutes;
+        document.getElementById('ripple-extend').checked = false;
+        this.renderRipplePreview();
+        this.openModal('ripple');
+    }
+
+    getRippleAct() {
+        return this.state.acts.find(a => a.id === this.rippleActId);
+    }
+
+    /**
+     * Works out the new times for a ripple shift of `minutes` (negative moves
+     * earlier). With `extend`, the source act's end moves by the same amount.
+     * Returns the changed acts plus anything that blocks applying them.
+     */
+    getRipplePlan(act, minutes, extend) {
+        const changed = this.getFollowingActs(act).map(a => this.shiftAct(a, minutes));
+        const errors = [];
+
+        if (extend) {
+            const { start, end } = this.getActRange(act);
+            if (end + minutes <= start) errors.push(`"${act.name}" would end before it starts.`);
+            changed.unshift({ ...act, endTime: this.formatTime(end + minutes) });
+        }
+        changed.forEach(a => {
+            const { start, end } = this.getActRange(a);
+            if (start < this.CONFIG.startHour * 60 || end > this.CONFIG.endHour * 60) {
+                errors.push(`"${a.name}" would fall outside the timetable hours.`);
+            }
+        });
+
+        // Pulling acts back may close the gap but not run into this act
+        const next = this.getFollowingActs(act)[0];
+        if (next) {
+            const sourceEnd = this.getActRange(act).end + (extend ? minutes : 0);
+            const nextStart = this.getActRange(next).start + minutes;
+            if (nextStart < sourceEnd && this.getActRange(next).start >= this.getActRange(act).end) {
+                errors.push(`"${next.name}" would start before "${act.name}" ends. Use Close Gap to pull it back exactly.`);
+            }
+        }
+
+        return { changed, errors, conflicts: errors.length ? [] : this.getIntroducedConflicts(changed) };
+    }
+
+    readRippleForm() {
+        return {
+            minutes: parseInt(document.getElementById('ripple-minutes').value, 10) || 0,
+            extend: document.getElementById('ripple-extend').checked
+        };
+    }
+
+    renderRipplePreview() {
+        const act = this.getRippleAct();
+        if (!act) return;
+        const { minutes, extend } = this.readRippleForm();
+        const plan = this.getRipplePlan(act, minutes, extend);
+        const list = document.getElementById('ripple-preview');
+        list.innerHTML = '';
+
+        if (!plan.changed.length) {
+            list.innerHTML = '<div style="text-align:center; padding: 20px; opacity:0.5">No later acts on this stage.</div>';
+        }
+        plan.changed.forEach(updated => {
+            const original = this.state.acts.find(a => a.id === updated.id);
+            const row = document.createElement('div');
+            row.className = 'ripple-row';
+            const name = document.createElement('span');
+            name.className = 'ripple-name';
+            name.textContent = updated.name;
+            const times = document.createElement('span');
+            times.className = 'ripple-times';
+            times.textContent = `${this.formatActTime(original)} → ${this.formatActTime(updated)}`;
+            row.append(name, times);
+            list.appendChild(row);
+        });
+
+        const issues = document.getElementById('ripple-issues');
+        issues.innerHTML = '';
+        [...plan.errors, ...plan.conflicts.map(c => this.describeConflict(c))].forEach(text => {
+            const item = document.createElement('div');
+            item.className = 'conflict-item';
+            item.textContent = text;
+            issues.appendChild(item);
+        });
+
+        const apply = document.getElementById('ripple-apply');
+        apply.disabled = !minutes || !plan.changed.length || plan.errors.length > 0;
+        apply.textContent = plan.conflicts.length ? 'Shift Anyway' : 'Shift Acts';
+    }
+
+    // Pulls the next act back so it starts when this one ends
+    closeRippleGap() {
+        const act = this.getRippleAct();
+        const next = act && this.getFollowingActs(act)[0];
+        if (!next) return;
+        document.getElementById('ripple-extend').checked = false;
+        document.getElementById('ripple-minutes').value = this.getActRange(act).end - this.getActRange(next).start;
+        this.renderRipplePreview();
+    }
+
+    handleRippleSubmit(e) {
+        e.preventDefault();
+        const act = this.getRippleAct();
+        if (!act) return;
+        const { minutes, extend } = this.readRippleForm();
+        const plan = this.getRipplePlan(act, minutes, extend);
+        if (!minutes || plan.errors.length) return;
+
+        // Conflicts were shown in the preview, so no second confirmation
+        plan.changed.forEach(c => Object.assign(this.state.acts.find(a => a.id === c.id), c));
+        this.saveState('Shift following acts');
+        this.renderActs();
+        this.closeModal('ripple');
+        this.announce(`Shifted ${plan.changed.length} act(s) by ${minutes} minutes`);
+    }
+
+    handleSettingsSubmit(e) {
+        e.preventDefault();
+        const start = parseInt(document.getElementById('setting-start-hour').value, 10);
+        const end = parseInt(document.getElementById('setting-end-hour').value, 10);
+
+        if (start >= end) {
+            alert('Start hour must be less than End hour');
+            return;
+        }
+
+        const branding = { logo: this.pendingLogo || '' };
+        Object.entries(this.brandingInputs).forEach(([field, id]) => {
+            branding[field] = document.getElementById(id).value.trim() || this.CONFIG.branding[field];
+        });
+
+        this.CONFIG.startHour = start;
+        this.CONFIG.endHour = end;
+        this.state.config.branding = branding;
+        this.saveState('Change settings');
+        this.applyBranding();
+        this.renderAll();
+        this.closeModal('settings');
+    }
+
+    openSettings() {
+        document.getElementById('setting-start-hour').value = this.CONFIG.startHour;
+        document.getElementById('setting-end-hour').value = this.CONFIG.endHour;
+
+        const branding = this.getBranding();
+        Object.entries(this.brandingInputs).forEach(([field, id]) => {
+            document.getElementById(id).value = branding[field];
+        });
+        this.pendingLogo = branding.logo;
+        this.renderLogoPreview();
+
+        this.openModal('settings');
+    }
+
+    // --- Member Management ---
+
+    openMembersModal() {
+        this.refreshTeamOptions();
+        this.renderMembersList();
+        this.clearMemberForm();
+        this.openModal('members');
+    }
+
+    renderMembersList() {
+        const tbody = document.getElementById('members-list-body');
+        tbody.innerHTML = '';
+        this.state.members.forEach(member => {
+            const tr = document.createElement('tr');
+            tr.style.borderBottom = '1px solid rgba(255,255,255,0.05)';
+            tr.innerHTML = `
+                <td style="padding: 10px;">${member.name}</td>
+                <td style="padding: 10px; font-size: 0.85rem; color: #9ca3af;">${this.getMemberTeams(member).join(', ')}</td>
+                <td style="padding: 10px; text-align: right;">
+                    <button class="btn outline edit-member-trigger" data-id="${member.id}" style="padding: 4px 8px; font-size: 0.75rem;">Edit</button>
+                </td>
+            `;
+            tbody.appendChild(tr);
+        });
+
+        // Attach listeners dynamically
+        tbody.querySelectorAll('.edit-member-trigger').forEach(btn => {
+            btn.onclick = () => this.editMember(btn.dataset.id);
+        });
+    }
+
+    editMember(id) {
+        const member = this.state.members.find(m => m.id === id);
+        if (!member) return;
+        document.getElementById('member-id').value = member.id;
+        document.getElementById('member-name').value = member.name;
+        this.setPickerTeams(document.getElementById('member-teams'), this.getMemberTeams(member));
+        document.getElementById('member-delete').style.display = 'inline-flex';
+    }
+
+    clearMemberForm() {
+        document.getElementById('member-id').value = '';
+        document.getElementById('member-name').value = '';
+        this.setPickerTeams(document.getElementById('member-teams'), []);
+        document.getElementById('member-delete').style.display = 'none';
+    }
+
+    handleMemberSubmit(e) {
+        e.preventDefault();
+        const id = document.getElementById('member-id').value;
+        const name = document.getElementById('member-name').value.trim();
+        if (!name) {
+            alert('Enter a name for the member.');
+            return;
+        }
+        const teamNames = this.getPickerTeams(document.getElementById('member-teams'));
+        if (!this.confirmNewTeams(teamNames)) return;
+        const teamIds = this.resolveTeamIds(teamNames);
+
+        if (id) {
+            const m = this.state.members.find(m => m.id === id);
+            if (m) {
+                m.name = name;
+                m.teamIds = teamIds;
+            }
+        } else {
+            this.state.members.push({
+                id: `mem-${Date.now()}`,
+                name: name,
+                teamIds: teamIds
+            });
+        }
+        this.saveState('Save member');
+        this.renderMembersList();
+        this.clearMemberForm();
+        this.renderActs(); // Member changes can create or resolve conflicts
+    }
+
+    handleMemberDelete() {
+        const id = document.getElementById('member-id').value;
+        if (id && confirm('Delete member?')) {
+            this.state.members = this.state.members.filter(m => m.id !== id);
+            this.saveState('Delete member');
+            this.renderMembersList();
+            this.clearMemberForm();
+            this.renderActs();
+        }
+    }
+
+    // --- Exports ---
+
+    async handleGlobalExport() {
+        const btn = this.dom.buttons.export;
+        btn.textContent = 'Generating...';
+        document.body.classList.add('exporting');
+
+        try {
+            // Clone DOM for clean export
+            const container = document.createElement('div');
+            Object.assign(container.style, {
+                position: 'absolute', top: '-9999px', left: '0',
+                width: 'fit-content', minWidth: '100%',
+                background: getComputedStyle(document.body).background,
+                color: '#f8fafc', padding: '40px',
+                fontFamily: getComputedStyle(document.body).fontFamily
+            });
+
+            // Title
+            const { primaryColor, secondaryColor } = this.getBranding();
+            const title = document.querySelector('.logo').cloneNode(true);
+            title.style.marginBottom = '20px';
+            const h1 = title.querySelector('h1');
+            h1.style.background = `linear-gradient(to right, ${primaryColor}, ${secondaryColor})`;
+            h1.style.webkitBackgroundClip = 'text';
+            h1.style.webkitTextFillColor = 'transparent';
+            container.appendChild(title);
+
+            // One workspace per day, side by side
+            const daysRow = document.createElement('div');
+            Object.assign(daysRow.style, { display: 'flex', gap: '40px', alignItems: 'flex-start' });
+
+            const activeDayId = this.currentDayId;
+            try {
+                for (const day of this.state.days) {
+                    this.switchDay(day.id);
+
+                    const dayBlock = document.createElement('div');
+                    const heading = document.createElement('h2');
+                    heading.textContent = [day.name, this.formatDayDate(day)].filter(Boolean).join(' · ');
+                    heading.style.margin = '0 0 12px 80px';
+                    dayBlock.appendChild(heading);
+
+                    const workspace = document.getElementById('capture-target').cloneNode(true);
+                    workspace.removeAttribute('id');
+                    workspace.style.background = 'transparent';
+                    workspace.style.overflow = 'visible';
+                    dayBlock.appendChild(workspace);
+                    daysRow.appendChild(dayBlock);
+                }
+            } finally {
+                this.switchDay(activeDayId);
+            }
+            container.appendChild(daysRow);
+
+            document.body.appendChild(container);
+
+            const canvas = await html2canvas(container, {
+                backgroundColor: null,
+                scale: 2
+            });
+
+            this.downloadImage(canvas, `${this.getFilePrefix()}_Full_Schedule`);
+            document.body.removeChild(container);
+        } catch (e) {
+            console.error(e);
+            alert('Export Failed');
+        } finally {
+            btn.textContent = 'Export Image';
+            document.body.classList.remove('exporting');
         }
     }
 
-    closeModal(modalName) {
-        if (this.dom.modals[modalName]) {
-            this.dom.modals[modalName].classList.add('hidden');
+    openTeamExport() {
+        const select = document.getElementById('export-team-select');
+        select.innerHTML = '<option value="">-- Select Team --</option>';
+
+        this.getAllTeams().forEach(t => {
+            const opt = document.createElement('option');
+            opt.value = t.id;
+            opt.textContent = t.name;
+            select.appendChild(opt);
+        });
+
+        this.openModal('teamExport');
+    }
+
+    handleTeamExportSubmit(e) {
+        e.preventDefault();
+        const team = this.getTeam(document.getElementById('export-team-select').value);
+        if (!team) return;
+
+        const acts = this.getTeamActs(team.id);
+
+        this.generateSpecializedExport(acts, team.name, 'Schedule for', '', team.id);
+        this.closeModal('teamExport');
+    }
+
+    openIndividualExport() {
+        const select = document.getElementById('export-member-select');
+        select.innerHTML = '<option value="">-- Select Member --</option>';
+
+        this.state.members.sort((a, b) => a.name.localeCompare(b.name)).forEach(m => {
+            const opt = document.createElement('option');
+            opt.value = m.id;
+            opt.textContent = m.name;
+            select.appendChild(opt);
+        });
+
+        this.openModal('individualExport');
+    }
+
+    handleIndividualExportSubmit(e) {
+        e.preventDefault();
+        const memId = document.getElementById('export-member-select').value;
+        const member = this.state.members.find(m => m.id === memId);
+        if (!member) return;
+
+        const acts = this.getMemberActs(member);
+
+        this.generateSpecializedExport(acts, member.name, 'Schedule for', `Teams: ${this.getMemberTeams(member).join(', ')}`, member.id);
+        this.closeModal('individualExport');
+    }
+
+    // --- Calendar Export ---
+
+    handleTeamIcsExport() {
+        const team = this.getTeam(document.getElementById('export-team-select').value);
+        if (!team) return;
+
+        const event = this.getEventName();
+        if (this.downloadCalendar(this.getTeamActs(team.id), `${this.getFilePrefix()}_${this.toFileName(team.name, team.id)}`, `${event} ${team.name}`)) {
+            this.closeModal('teamExport');
         }
     }
 
-    getRandomColor() {
-        const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
-        return colors[Math.floor(Math.random() * colors.length)];
+    handleIndividualIcsExport() {
+        const memId = document.getElementById('export-member-select').value;
+        const member = this.state.members.find(m => m.id === memId);
+        if (!member) return;
+
+        const event = this.getEventName();
+        if (this.downloadCalendar(this.getMemberActs(member), `${this.getFilePrefix()}_${this.toFileName(member.name, member.id)}`, `${event} ${member.name}`)) {
+            this.closeModal('individualExport');
+        }
     }
 
-    // --- Form Handlers ---
+    /**
+     * Makes sure every day used by `acts` has a calendar date (YYYY-MM-DD).
+     * Returns false if the user cancels.
+     */
+    ensureDayDates(acts) {
+        const dayIds = new Set(acts.map(a => this.getActDay(a)?.id));
+        let changed = false;
+        let suggestion = new Date().toISOString().slice(0, 10);
 
-    handleActSubmit(e) {
-        e.preventDefault();
-        const id = document.getElementById('act-id').value;
-        const data = {
-            name: document.getElementById('act-name').value,
-            category: document.getElementById('act-category').value,
-            startTime: document.getElementById('act-start').value,
-            endTime: document.getElementById('act-end').value,
-            color: document.getElementById('act-color').value
-        };
+        for (const day of this.state.days) {
+            // A stored date that isn't a real day (e.g. "2026-13-01") is asked for again
+            if (this.isValidDate(day.date)) {
+                suggestion = this.addDays(day.date, 1);
+                continue;
+            }
+            if (!dayIds.has(day.id)) continue;
 
-        if (id) {
-            const act = this.state.acts.find(a => a.id === id);
-            if (act) Object.assign(act, data);
-        } else {
-            this.state.acts.push({
-                id: `act-${Date.now()}`,
-                stageId: this.state.stages[0].id,
-                ...data
-            });
+            let date = prompt(`Calendar date for "${day.name}" (YYYY-MM-DD):`, suggestion);
+            while (date !== null && !this.isValidDate(date.trim())) {
+                date = prompt(`Invalid date. Calendar date for "${day.name}" (YYYY-MM-DD):`, date);
+            }
+            if (date === null) return false;
+
+            day.date = date.trim();
+            suggestion = this.addDays(day.date, 1);
+            changed = true;
         }
-        this.saveState();
-        this.renderActs();
-        this.closeModal('edit');
+
+        if (changed) {
+            this.saveState('Set day dates');
+            this.renderDayTabs();
+        }
+        return true;
     }
 
-    handleActDelete() {
-        const id = document.getElementById('act-id').value;
-        if (id && confirm('Delete?')) {
-            this.state.acts = this.state.acts.filter(a => a.id !== id);
-            this.saveState();
-            this.renderActs();
-            this.closeModal('edit');
+    downloadCalendar(acts, filename, calendarName) {
+        if (!acts.length) {
+            alert('No acts found.');
+            return false;
         }
+        if (!this.ensureDayDates(acts)) return false;
+
+        const ics = this.buildIcs(acts, calendarName);
+        const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+        this.downloadBlob(blob, `${this.toFileName(filename)}.ics`);
+        return true;
     }
 
-    handleSettingsSubmit(e) {
-        e.preventDefault();
-        const start = parseInt(document.getElementById('setting-start-hour').value, 10);
-        const end = parseInt(document.getElementById('setting-end-hour').value, 10);
+    buildIcs(acts, calendarName) {
+        const tz = this.CONFIG.timeZone;
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
 
-        if (start >= end) {
-            alert('Start hour must be less than End hour');
-            return;
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//SBF Schedule Editor//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeIcsText(calendarName)}`,
+            `X-WR-TIMEZONE:${tz}`,
+            // Japan has no DST, so a single fixed-offset definition is enough
+            'BEGIN:VTIMEZONE',
+            `TZID:${tz}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0900',
+            'TZOFFSETTO:+0900',
+            'TZNAME:JST',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+
+        acts.forEach(act => {
+            const stage = this.getStage(act.stageId);
+            const day = this.getDay(stage.dayId);
+            const { start, end } = this.getActRange(act);
+            const teams = this.getActTeams(act);
+
+            lines.push(
+                'BEGIN:VEVENT',
+                // Stable UID so re-importing updates the existing event
+                `UID:${act.id}@sbf-schedule`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;TZID=${tz}:${this.formatIcsDateTime(day.date, start)}`,
+                `DTEND;TZID=${tz}:${this.formatIcsDateTime(day.date, end)}`,
+                `SUMMARY:${this.escapeIcsText(act.name)}`,
+                `LOCATION:${this.escapeIcsText(act.location || stage.venue || stage.name)}`
+            );
+            const description = [
+                teams.length && `Teams: ${teams.join(', ')}`,
+                act.contact && `Contact: ${act.contact}`,
+                act.notes
+            ].filter(Boolean).join('\n');
+            if (description) lines.push(`DESCRIPTION:${this.escapeIcsText(description)}`);
+            lines.push('END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(l => this.foldIcsLine(l)).join('\r\n') + '\r\n';
+    }
+
+    // "YYYY-MM-DD" naming a real calendar day
+    isValidDate(date) {
+        if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+        try {
+            return this.addDays(date, 0) === date;
+        } catch (e) {
+            return false;
         }
+    }
 
-        this.CONFIG.startHour = start;
-        this.CONFIG.endHour = end;
-        this.saveState();
-        this.renderAll();
-        this.closeModal('settings');
+    addDays(date, days) {
+        const d = new Date(`${date}T00:00:00Z`);
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().slice(0, 10);
     }
 
-    openSettings() {
-        document.getElementById('setting-start-hour').value = this.CONFIG.startHour;
-        document.getElementById('setting-end-hour').value = this.CONFIG.endHour;
-        this.dom.modals.settings.classList.remove('hidden');
+    formatIcsDateTime(date, minutes) {
+        const d = new Date(`${date}T00:00:00Z`);
+        d.setUTCMinutes(minutes);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}00`;
     }
 
-    // --- Member Management ---
+    escapeIcsText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
 
-    openMembersModal() {
-        this.renderMembersList();
-        this.clearMemberForm();
-        this.dom.modals.members.classList.remove('hidden');
+    // RFC 5545: lines longer than 75 octets are folded with CRLF + space
+    foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let size = 0;
+        for (const ch of line) {
+            const len = encoder.encode(ch).length;
+            if (size + len > (parts.length ? 74 : 75)) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += ch;
+            size += len;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
     }
 
-    renderMembersList() {
-        const tbody = document.getElementById('members-list-body');
-        tbody.innerHTML = '';
-        this.state.members.forEach(member => {
-            const tr = document.createElement('tr');
-            tr.style.borderBottom = '1px solid rgba(255,255,255,0.05)';
-            tr.innerHTML = `
-                <td style="padding: 10px;">${member.name}</td>
-                <td style="padding: 10px; font-size: 0.85rem; color: #9ca3af;">${member.teams.join(', ')}</td>
-                <td style="padding: 10px; text-align: right;">
-                    <button class="btn outline edit-member-trigger" data-id="${member.id}" style="padding: 4px 8px; font-size: 0.75rem;">Edit</button>
-                </td>
-            `;
-            tbody.appendChild(tr);
+    async generateSpecializedExport(acts, title, subtitle, extraInfo = '', fileId = '') {
+        try {
+            const canvas = await this.renderCardCanvas(this.buildSpecializedCard(acts, title, subtitle, extraInfo));
+            this.downloadImage(canvas, `${this.getFilePrefix()}_${this.toFileName(title, fileId)}`);
+        } catch (e) {
+            console.error(e);
+            alert('Gen failed');
+        }
+    }
+
+    async renderCardCanvas(card) {
+        card.style.position = 'absolute';
+        card.style.top = '-9999px';
+        document.body.appendChild(card);
+        try {
+            return await html2canvas(card, { backgroundColor: null, scale: 2 });
+        } finally {
+            document.body.removeChild(card);
+        }
+    }
+
+    // Card listing `acts` in order; shared by the PNG and PDF exports
+    buildSpecializedCard(acts, title, subtitle, extraInfo = '') {
+        // Sort
+        acts.sort((a, b) => {
+            // Primary Sort: Day (by date, then Day 1, Day 2...), then Stage within the day
+            const dayA = this.getActDay(a);
+            const dayB = this.getActDay(b);
+
+            if (dayA?.date && dayB?.date && dayA.date !== dayB.date) {
+                return dayA.date.localeCompare(dayB.date);
+            }
+            const dayIndexA = this.state.days.indexOf(dayA);
+            const dayIndexB = this.state.days.indexOf(dayB);
+            if (dayIndexA !== dayIndexB) {
+                return dayIndexA - dayIndexB;
+            }
+
+            const stageIndexA = this.state.stages.findIndex(s => s.id === a.stageId);
+            const stageIndexB = this.state.stages.findIndex(s => s.id === b.stageId);
+            if (stageIndexA !== stageIndexB) {
+                return stageIndexA - stageIndexB;
+            }
+
+            // Secondary Sort: Time
+            return this.getActRange(a).start - this.getActRange(b).start;
         });
 
-        // Attach listeners dynamically
-        tbody.querySelectorAll('.edit-member-trigger').forEach(btn => {
-            btn.onclick = () => this.editMember(btn.dataset.id);
+        const card = document.createElement('div');
+        card.className = 'team-export-card';
+
+        let actsHtml = acts.length ? '' : '<div style="text-align:center; padding: 20px; opacity:0.5">No acts found.</div>';
+
+        acts.forEach(act => {
+            const stage = this.getStageLabel(this.getStage(act.stageId));
+            actsHtml += `
+                <div class="team-act-item">
+                    <div class="team-act-time">${this.formatActTime(act)}</div>
+                    <div class="team-act-info">
+                        <div class="team-act-name">${act.name}</div>
+                        <div class="team-act-stage">${stage}</div>
+                        <div style="font-size:0.7em; opacity:0.7; margin-top:4px">${this.getActTeams(act).join(', ')}</div>
+                        ${this.getActDetails(act).length ? `<div class="team-act-details">${this.buildActDetailsHtml(act)}</div>` : ''}
+                    </div>
+                </div>
+            `;
         });
+
+        card.innerHTML = `
+            <div class="team-export-header">
+                ${this.getBranding().logo ? `<img class="team-export-logo" src="${this.escapeHtml(this.getBranding().logo)}" alt="">` : ''}
+                <div class="team-export-title">${this.escapeHtml(this.getEventName())}</div>
+                ${this.getBranding().subtitle ? `<div class="brand-subtitle">${this.escapeHtml(this.getBranding().subtitle)}</div>` : ''}
+                <div class="team-export-subtitle">${subtitle} <strong>${title}</strong></div>
+                ${extraInfo ? `<div style="font-size:0.8rem; opacity:0.7; margin-top:4px">${extraInfo}</div>` : ''}
+            </div>
+            <div class="team-act-list">${actsHtml}</div>
+            <div class="team-export-footer">Generated on ${new Date().toLocaleDateString()}</div>
+        `;
+        return card;
     }
 
-    editMember(id) {
-        const member = this.state.members.find(m => m.id === id);
-        if (!member) return;
-        document.getElementById('member-id').value = member.id;
-        document.getElementById('member-name').value = member.name;
-        document.getElementById('member-teams').value = member.teams.join(', ');
-        document.getElementById('member-delete').style.display = 'inline-flex';
+    downloadImage(canvas, filename) {
+        const link = document.createElement('a');
+        link.download = `${this.toFileName(filename)}.png`;
+        link.href = canvas.toDataURL('image/png');
+        link.click();
     }
 
-    clearMemberForm() {
-        document.getElementById('member-id').value = '';
-        document.getElementById('member-name').value = '';
-        document.getElementById('member-teams').value = '';
-        document.getElementById('member-delete').style.display = 'none';
+    /**
+     * Makes `name` safe as a file name on Windows, macOS and Linux while keeping
+     * Unicode, so "渡邉歌劇団" stays readable. If nothing usable is left, falls
+     * back to an ASCII slug with `id` appended.
+     */
+    toFileName(name, id = '') {
+        let safe = String(name).normalize('NFC')
+            .replace(/[\u0000-\u001f\u007f<>:"/\\|?*\s]+/g, '_')
+            .replace(/^[._]+|[._]+$/g, '');
+        if (/^(con|prn|aux|nul|com\d|lpt\d)$/i.test(safe)) safe = `${safe}_`;
+        // 80 characters stays under the 255-byte limit even for Japanese names
+        safe = [...safe].slice(0, 80).join('');
+        if (safe.replace(/_/g, '')) return safe;
+
+        const slug = String(name).normalize('NFKD').replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '');
+        return [slug, id].filter(Boolean).join('_') || 'untitled';
     }
 
-    handleMemberSubmit(e) {
-        e.preventDefault();
-        const id = document.getElementById('member-id').value;
-        const name = document.getElementById('member-name').value;
-        const teams = document.getElementById('member-teams').value.split(',').map(t => t.trim()).filter(Boolean);
+    // --- Batch Export ---
 
-        if (id) {
-            const m = this.state.members.find(m => m.id === id);
-            if (m) {
-                m.name = name;
-                m.teams = teams;
-            }
-        } else {
-            this.state.members.push({
-                id: `mem-${Date.now()}`,
-                name: name,
-                teams: teams
-            });
+    openBatchExport() {
+        document.getElementById('batch-teams').checked = true;
+        document.getElementById('batch-members').checked = true;
+        document.getElementById('batch-progress').classList.add('hidden');
+        document.getElementById('batch-start').disabled = false;
+        this.openModal('batchExport');
+    }
+
+    // Every card as { folder, name, id, build }, built lazily while zipping
+    getBatchCards({ teams, members }) {
+        const cards = [];
+        if (teams) {
+            this.getAllTeams().forEach(team => cards.push({
+                folder: 'teams', name: team.name, id: team.id,
+                build: () => this.buildSpecializedCard(this.getTeamActs(team.id), team.name, 'Schedule for')
+            }));
         }
-        this.saveState();
-        this.renderMembersList();
-        this.clearMemberForm();
+        if (members) {
+            [...this.state.members].sort((a, b) => a.name.localeCompare(b.name)).forEach(member => cards.push({
+                folder: 'members', name: member.name, id: member.id,
+                build: () => this.buildSpecializedCard(
+                    this.getMemberActs(member), member.name, 'Schedule for', `Teams: ${this.getMemberTeams(member).join(', ')}`
+                )
+            }));
+        }
+        return cards;
     }
 
-    handleMemberDelete() {
-        const id = document.getElementById('member-id').value;
-        if (id && confirm('Delete member?')) {
-            this.state.members = this.state.members.filter(m => m.id !== id);
-            this.saveState();
-            this.renderMembersList();
-            this.clearMemberForm();
+    async handleBatchExport() {
+        const cards = this.getBatchCards({
+            teams: document.getElementById('batch-teams').checked,
+            members: document.getElementById('batch-members').checked
+        });
+        if (!cards.length) {
+            alert('Nothing to export.');
+            return;
+        }
+
+        const bar = document.getElementById('batch-progress-bar');
+        const label = document.getElementById('batch-progress-label');
+        document.getElementById('batch-progress').classList.remove('hidden');
+        document.getElementById('batch-start').disabled = true;
+        document.body.classList.add('exporting');
+        // Each run checks its own token, so a cancelled run can't be revived by the next one
+        const run = {};
+        this.batchRun = run;
+        const cancelled = () => this.batchRun !== run;
+
+        try {
+            const zip = new JSZip();
+            const used = new Set();
+
+            for (let i = 0; i < cards.length; i++) {
+                if (cancelled()) return;
+                const { folder, name, id, build } = cards[i];
+                label.textContent = `${i + 1} / ${cards.length}: ${name}`;
+                bar.style.width = `${(i / cards.length) * 100}%`;
+
+                const canvas = await this.renderCardCanvas(build());
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+                // Two members with the same name are told apart by id
+                let path = `${folder}/${this.getFilePrefix()}_${this.toFileName(name, id)}`;
+                if (used.has(path)) path = `${path}_${this.toFileName(id)}`;
+                used.add(path);
+                zip.file(`${path}.png`, blob);
+            }
+            if (cancelled()) return;
+
+            label.textContent = 'Creating ZIP...';
+            bar.style.width = '100%';
+            const content = await zip.generateAsync({ type: 'blob' });
+            if (cancelled()) return;
+            this.downloadBlob(content, `${this.getFilePrefix()}_Schedules.zip`);
+            this.closeModal('batchExport');
+        } catch (e) {
+            console.error(e);
+            alert('Batch export failed');
+        } finally {
+            // A newer run owns the progress UI
+            if (!this.batchRun || this.batchRun === run) {
+                this.batchRun = null;
+                document.getElementById('batch-progress').classList.add('hidden');
+                document.getElementById('batch-start').disabled = false;
+                document.body.classList.remove('exporting');
+            }
         }
     }
 
-    // --- Exports ---
+    // Stops after the card being rendered; closing the modal in any way cancels
+    cancelBatchExport() {
+        this.closeModal('batchExport');
+    }
 
-    async handleGlobalExport() {
-        const btn = this.dom.buttons.export;
-        btn.textContent = 'Generating...';
+    // --- PDF Export ---
+
+    openPdfModal() {
+        document.getElementById('pdf-progress').textContent = '';
+        this.openModal('pdf');
+    }
+
+    /**
+     * Builds an A4 PDF from the chosen page kinds. Each page is rendered to a
+     * canvas first, so Japanese text prints with the browser's own fonts.
+     */
+    async handlePdfExport() {
+        const pages = this.getPdfPages({
+            grid: document.getElementById('pdf-grid').checked,
+            teams: document.getElementById('pdf-teams').checked,
+            members: document.getElementById('pdf-members').checked
+        });
+        if (!pages.length) {
+            alert('Nothing to print. Choose at least one kind of page.');
+            return;
+        }
+
+        const btn = document.getElementById('pdf-generate');
+        const progress = document.getElementById('pdf-progress');
+        btn.disabled = true;
         document.body.classList.add('exporting');
 
         try {
-            // Clone DOM for clean export
-            const container = document.createElement('div');
-            Object.assign(container.style, {
-                position: 'absolute', top: '-9999px', left: '0',
-                width: 'fit-content', minWidth: '100%',
-                background: getComputedStyle(document.body).background,
-                color: '#f8fafc', padding: '40px',
-                fontFamily: getComputedStyle(document.body).fontFamily
+            const { jsPDF } = window.jspdf;
+            const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+
+            for (let i = 0; i < pages.length; i++) {
+                progress.textContent = `Rendering page ${i + 1} of ${pages.length}...`;
+                const page = pages[i]();
+                page.style.position = 'absolute';
+                page.style.top = '-9999px';
+                document.body.appendChild(page);
+                try {
+                    const canvas = await html2canvas(page, { backgroundColor: '#ffffff', scale: 2 });
+                    this.addCanvasToPdf(pdf, canvas, i > 0);
+                } finally {
+                    document.body.removeChild(page);
+                }
+            }
+
+            pdf.save(`${this.getFilePrefix()}_Schedule.pdf`);
+            this.closeModal('pdf');
+        } catch (e) {
+            console.error(e);
+            alert('PDF export failed');
+        } finally {
+            btn.disabled = false;
+            progress.textContent = '';
+            document.body.classList.remove('exporting');
+        }
+    }
+
+    // Page builders, created lazily so only one page is in the DOM at a time
+    getPdfPages({ grid, teams, members }) {
+        const pages = [];
+        if (grid) {
+            this.state.days.forEach(day => {
+                this.getDayStages(day.id).forEach(stage => {
+                    pages.push(() => this.buildPrintGridPage(day, stage));
+                });
+            });
+        }
+        if (teams) {
+            this.getAllTeams().forEach(team => {
+                const acts = this.getTeamActs(team.id);
+                if (acts.length) pages.push(() => this.buildPrintCardPage(this.buildSpecializedCard(acts, team.name, 'Schedule for')));
+            });
+        }
+        if (members) {
+            [...this.state.members].sort((a, b) => a.name.localeCompare(b.name)).forEach(member => {
+                const acts = this.getMemberActs(member);
+                if (acts.length) {
+                    pages.push(() => this.buildPrintCardPage(
+                        this.buildSpecializedCard(acts, member.name, 'Schedule for', `Teams: ${this.getMemberTeams(member).join(', ')}`)
+                    ));
+                }
+            });
+        }
+        return pages;
+    }
+
+    // One stage of one day, scaled so the whole time range fits a portrait A4 page
+    buildPrintGridPage(day, stage) {
+        const page = document.createElement('div');
+        page.className = 'print-page';
+
+        const startMin = this.CONFIG.startHour * 60;
+        const totalHours = this.CONFIG.endHour - this.CONFIG.startHour;
+        const gridHeight = 960;
+        const pxPerMin = gridHeight / (totalHours * 60);
+
+        const markers = [];
+        for (let h = 0; h <= totalHours; h++) {
+            const hour = this.CONFIG.startHour + h;
+            const label = hour < 24 ? `${hour}:00` : `${hour % 24}:00 +${Math.floor(hour / 24)}`;
+            markers.push(`
+                <div class="print-hour" style="top: ${h * 60 * pxPerMin}px"><span>${label}</span></div>
+            `);
+        }
+
+        const acts = this.state.acts
+            .filter(a => a.stageId === stage.id)
+            .sort((a, b) => this.getActRange(a).start - this.getActRange(b).start)
+            .map(act => {
+                const { start, end } = this.getActRange(act);
+                const teams = this.getActTeams(act).join(', ');
+                return `
+                    <div class="print-act" style="top: ${(start - startMin) * pxPerMin}px; height: ${(end - start) * pxPerMin}px; border-left-color: ${act.color}">
+                        <strong>${act.name}</strong> <span class="print-act-time">${this.formatActTime(act)}</span>
+                        ${teams ? `<div class="print-act-teams">${teams}</div>` : ''}
+                    </div>
+                `;
             });
 
-            // Title
-            const title = document.querySelector('.logo').cloneNode(true);
-            title.style.marginBottom = '20px';
-            const h1 = title.querySelector('h1');
-            h1.style.background = 'linear-gradient(to right, #818cf8, #c4b5fd)';
-            h1.style.webkitBackgroundClip = 'text';
-            h1.style.webkitTextFillColor = 'transparent';
-            container.appendChild(title);
+        page.innerHTML = `
+            <div class="print-header">
+                <div class="print-title">${this.escapeHtml(this.getEventName())}</div>
+                <div class="print-subtitle">${this.getStageLabel(stage)}</div>
+            </div>
+            <div class="print-grid" style="height: ${gridHeight}px">
+                ${markers.join('')}
+                <div class="print-column">${acts.join('')}</div>
+            </div>
+        `;
+        return page;
+    }
 
-            // Workspace
-            const workspace = document.getElementById('capture-target').cloneNode(true);
-            workspace.style.background = 'transparent';
-            container.appendChild(workspace);
+    buildPrintCardPage(card) {
+        const page = document.createElement('div');
+        page.className = 'print-page print-card-page';
+        page.appendChild(card);
+        return page;
+    }
 
-            document.body.appendChild(container);
+    // Fits the canvas to the page width; anything taller continues on further pages
+    addCanvasToPdf(pdf, canvas, newPage) {
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const sliceHeight = Math.floor(canvas.width * (pageHeight / pageWidth));
 
-            const canvas = await html2canvas(container, {
-                backgroundColor: null,
-                scale: 2
-            });
+        // Pages built at A4 size can come out a few pixels taller; keep them on one page
+        if (canvas.height <= sliceHeight * 1.02) {
+            if (newPage) pdf.addPage();
+            pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, pageWidth, Math.min(pageHeight, pageWidth * (canvas.height / canvas.width)));
+            return;
+        }
 
-            this.downloadImage(canvas, `SBF_Full_Schedule`);
-            document.body.removeChild(container);
-        } catch (e) {
-            console.error(e);
-            alert('Export Failed');
-        } finally {
-            btn.textContent = 'Export Image';
-            document.body.classList.remove('exporting');
+        for (let y = 0; y < canvas.height; y += sliceHeight) {
+            const slice = document.createElement('canvas');
+            slice.width = canvas.width;
+            slice.height = Math.min(sliceHeight, canvas.height - y);
+            slice.getContext('2d').drawImage(canvas, 0, -y);
+
+            if (newPage || y > 0) pdf.addPage();
+            pdf.addImage(slice.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, pageWidth, pageWidth * (slice.height / slice.width));
         }
     }
 
-    openTeamExport() {
-        const select = document.getElementById('export-team-select');
-        select.innerHTML = '<option value="">-- Select Team --</option>';
+    // --- Publish ---
 
-        const teams = new Set();
-        this.state.acts.forEach(act => {
-            if (act.category) act.category.split(',').forEach(c => teams.add(c.trim()));
-        });
+    async openPublishModal() {
+        const include = document.getElementById('publish-include-members');
+        include.checked = !!this.state.config.publish?.includeMembers;
+        this.openModal('publish');
 
-        Array.from(teams).filter(Boolean).sort().forEach(t => {
-            const opt = document.createElement('option');
-            opt.value = opt.textContent = t;
-            select.appendChild(opt);
-        });
+        this.deployedSchedule = null;
+        document.getElementById('publish-diff').innerHTML = '<div style="opacity:0.5">Loading deployed schedule.json...</div>';
+        try {
+            const res = await fetch('./schedule.json', { cache: 'no-store' });
+            if (res.ok) this.deployedSchedule = this.prepareProject(await res.json()).data;
+        } catch (e) {
+            console.warn('Publish: Failed to load deployed schedule.json', e);
+        }
+        this.renderPublishPreview();
+    }
 
-        this.dom.modals.teamExport.classList.remove('hidden');
+    handlePublishOptionChange() {
+        const includeMembers = document.getElementById('publish-include-members').checked;
+        this.state.config.publish = { ...this.state.config.publish, includeMembers };
+        this.saveState('Change publish options');
+        this.renderPublishPreview();
     }
 
-    handleTeamExportSubmit(e) {
-        e.preventDefault();
-        const team = document.getElementById('export-team-select').value;
-        if (!team) return;
+    // Public copy of the project: no private data unless configured
+    buildPublicSchedule() {
+        const includeMembers = !!this.state.config.publish?.includeMembers;
+        const data = JSON.parse(JSON.stringify({
+            version: this.CONFIG.schemaVersion,
+            config: {
+                startHour: this.CONFIG.startHour,
+                endHour: this.CONFIG.endHour,
+                ...(this.state.config.branding ? { branding: this.state.config.branding } : {})
+            },
+            days: this.state.days,
+            stages: this.state.stages,
+            teams: this.state.teams,
+            acts: this.state.acts.filter(act => !this.isPrivateAct(act)),
+            members: includeMembers ? this.state.members : []
+        }));
+        // Contacts name people and notes are internal; both follow the member names option
+        if (!includeMembers) {
+            data.acts.forEach(act => {
+                delete act.contact;
+                delete act.notes;
+            });
+        }
+        return data;
+    }
 
-        const acts = this.state.acts.filter(a => {
-            if (!a.category) return false;
-            return a.category.split(',').map(c => c.trim()).includes(team);
-        });
+    renderPublishPreview() {
+        const data = this.buildPublicSchedule();
+        const errors = this.validateProject(data);
 
-        this.generateSpecializedExport(acts, team, 'Schedule for');
-        this.closeModal('teamExport');
-    }
+        const errorsEl = document.getElementById('publish-errors');
+        errorsEl.innerHTML = errors.length
+            ? `<div class="validation-errors"><strong>${errors.length} problem(s) must be fixed before publishing:</strong><ul>${errors.map(e => `<li>${e}</li>`).join('')}</ul></div>`
+            : '';
+        document.getElementById('publish-download').disabled = errors.length > 0;
+        const privateCount = this.state.acts.filter(act => this.isPrivateAct(act)).length;
+        document.getElementById('publish-private').textContent = privateCount
+            ? `${privateCount} private act(s) are left out.`
+            : '';
 
-    openIndividualExport() {
-        const select = document.getElementById('export-member-select');
-        select.innerHTML = '<option value="">-- Select Member --</option>';
+        const diffEl = document.getElementById('publish-diff');
+        if (!this.deployedSchedule) {
+            diffEl.innerHTML = '<div style="opacity:0.5">No deployed schedule.json found. Everything will be new.</div>';
+            return;
+        }
+        diffEl.innerHTML = this.renderDiffHtml(this.diffProjects(this.deployedSchedule, data));
+    }
 
-        this.state.members.sort((a, b) => a.name.localeCompare(b.name)).forEach(m => {
-            const opt = document.createElement('option');
-            opt.value = m.id;
-            opt.textContent = m.name;
-            select.appendChild(opt);
-        });
+    handlePublishDownload() {
+        const data = this.buildPublicSchedule();
+        if (this.validateProject(data).length) return;
 
-        this.dom.modals.individualExport.classList.remove('hidden');
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, 'schedule.json');
+        this.closeModal('publish');
     }
 
-    handleIndividualExportSubmit(e) {
-        e.preventDefault();
-        const memId = document.getElementById('export-member-select').value;
-        const member = this.state.members.find(m => m.id === memId);
-        if (!member) return;
+    /**
+     * Compares two projects collection by collection, matching items by id.
+     * Returns { days: { added, removed, changed: [{ before, after, fields }] }, ... }
+     */
+    diffProjects(before, after) {
+        const diff = {};
+        ['days', 'stages', 'teams', 'acts', 'members'].forEach(key => {
+            const oldItems = new Map((before[key] || []).map(item => [item.id, item]));
+            const newItems = new Map((after[key] || []).map(item => [item.id, item]));
+            const result = { added: [], removed: [], changed: [] };
+
+            newItems.forEach((item, id) => {
+                const old = oldItems.get(id);
+                if (!old) {
+                    result.added.push(item);
+                    return;
+                }
+                const fields = [...new Set([...Object.keys(old), ...Object.keys(item)])]
+                    .filter(f => JSON.stringify(old[f]) !== JSON.stringify(item[f]));
+                if (fields.length) result.changed.push({ before: old, after: item, fields });
+            });
+            oldItems.forEach((item, id) => {
+                if (!newItems.has(id)) result.removed.push(item);
+            });
 
-        const acts = this.state.acts.filter(a => {
-            if (!a.category) return false;
-            const cats = a.category.split(',').map(c => c.trim());
-            return member.teams.some(team => cats.includes(team));
+            diff[key] = result;
         });
+        return diff;
+    }
 
-        this.generateSpecializedExport(acts, member.name, 'Schedule for', `Teams: ${member.teams.join(', ')}`);
-        this.closeModal('individualExport');
+    renderDiffHtml(diff) {
+        const labels = { days: 'Days', stages: 'Stages', teams: 'Teams', acts: 'Acts', members: 'Members' };
+        const sections = Object.entries(diff).map(([key, d]) => {
+            const rows = [
+                ...d.added.map(item => `<li class="diff-added">+ ${item.name}</li>`),
+                ...d.changed.map(c => `<li class="diff-changed">~ ${c.after.name} <span class="diff-fields">(${c.fields.join(', ')})</span></li>`),
+                ...d.removed.map(item => `<li class="diff-removed">− ${item.name}</li>`)
+            ];
+            if (!rows.length) return '';
+            return `<div class="diff-section"><h3>${labels[key]}</h3><ul>${rows.join('')}</ul></div>`;
+        }).join('');
+
+        return sections || '<div style="opacity:0.5">No changes from the deployed schedule.json.</div>';
     }
 
-    async generateSpecializedExport(acts, title, subtitle, extraInfo = '') {
-        // Sort
-        acts.sort((a, b) => {
-            // Primary Sort: Stage Index (Day 1, Day 2...)
-            const stageIndexA = this.state.stages.findIndex(s => s.id === a.stageId);
-            const stageIndexB = this.state.stages.findIndex(s => s.id === b.stageId);
+    // --- Validation ---
 
-            if (stageIndexA !== stageIndexB) {
-                return stageIndexA - stageIndexB;
-            }
+    /**
+     * Checks a project for structural problems.
+     * Returns a list of human-readable messages; empty if the project is valid.
+     */
+    validateProject(data) {
+        const errors = [];
 
-            // Secondary Sort: Time
-            const [aH, aM] = a.startTime.split(':').map(Number);
-            const [bH, bM] = b.startTime.split(':').map(Number);
-            return (aH * 60 + aM) - (bH * 60 + bM);
-        });
+        const { startHour, endHour } = data.config || {};
+        if (!Number.isInteger(startHour) || startHour < 0 || startHour > 23) errors.push(`config: invalid start hour "${startHour}".`);
+        if (!Number.isInteger(endHour) || endHour < 1 || endHour > 48) errors.push(`config: invalid end hour "${endHour}".`);
+        if (Number.isInteger(startHour) && Number.isInteger(endHour) && startHour >= endHour) errors.push('config: start hour must be before end hour.');
 
-        const card = document.createElement('div');
-        card.className = 'team-export-card';
+        const branding = data.config?.branding;
+        if (branding !== undefined) {
+            Object.entries(branding || {}).forEach(([field, value]) => {
+                if (!(field in this.CONFIG.branding)) return;
+                if (typeof value !== 'string') errors.push(`config: branding "${field}" must be text.`);
+                else if (/Color|background/.test(field) && !/^#[0-9a-f]{6}$/i.test(value)) errors.push(`config: invalid branding color "${value}".`);
+                else if (field === 'logo' && value && !value.startsWith('data:image/')) errors.push('config: branding logo must be an embedded image.');
+            });
+        }
 
-        let actsHtml = acts.length ? '' : '<div style="text-align:center; padding: 20px; opacity:0.5">No acts found.</div>';
+        // Lists whose items all have ids; only these take part in the reference checks
+        const lists = {};
+        ['days', 'stages', 'teams', 'acts', 'members'].forEach(key => {
+            if (!Array.isArray(data[key])) {
+                errors.push(`"${key}" is missing or not a list.`);
+                return;
+            }
+            const seen = new Set();
+            let sound = true;
+            data[key].forEach((item, i) => {
+                if (!item || typeof item.id !== 'string' || !item.id) {
+                    errors.push(`${key}[${i}] has no id.`);
+                    sound = false;
+                    return;
+                }
+                if (seen.has(item.id)) errors.push(`${key}: duplicate id "${item.id}".`);
+                seen.add(item.id);
+                if (typeof item.name !== 'string' || !item.name.trim()) errors.push(`${key} "${item.id}" has no name.`);
+            });
+            if (sound) lists[key] = data[key];
+        });
 
-        acts.forEach(act => {
-            const stage = this.state.stages.find(s => s.id === act.stageId)?.name || 'Unknown';
-            actsHtml += `
-                <div class="team-act-item">
-                    <div class="team-act-time">${act.startTime} - ${act.endTime}</div>
-                    <div class="team-act-info">
-                        <div class="team-act-name">${act.name}</div>
-                        <div class="team-act-stage">${stage}</div>
-                        <div style="font-size:0.7em; opacity:0.7; margin-top:4px">${act.category}</div>
-                    </div>
-                </div>
-            `;
+        const idsOf = (key) => lists[key] && new Set(lists[key].map(item => item.id));
+        const dayIds = idsOf('days');
+        const stageIds = idsOf('stages');
+        const teamIds = idsOf('teams');
+        const teamRefs = (owner, ids) => {
+            if (!Array.isArray(ids)) {
+                errors.push(`${owner}: teams must be a list.`);
+                return;
+            }
+            if (teamIds) ids.filter(id => !teamIds.has(id)).forEach(id => errors.push(`${owner}: unknown team "${id}".`));
+        };
+
+        lists.days?.forEach(day => {
+            if (day.date && !this.isValidDate(day.date)) errors.push(`Day "${day.name}": invalid date "${day.date}".`);
+        });
+        const teamNames = new Set();
+        lists.teams?.forEach(team => {
+            const key = String(team.name).trim().toLowerCase();
+            if (teamNames.has(key)) errors.push(`Team "${team.name}": name is used twice.`);
+            teamNames.add(key);
+            if (!/^#[0-9a-f]{6}$/i.test(team.color)) errors.push(`Team "${team.name}": invalid color "${team.color}".`);
+            if (!this.CONFIG.teamTypes.includes(team.type)) errors.push(`Team "${team.name}": unknown type "${team.type}".`);
         });
+        lists.stages?.forEach(stage => {
+            if (dayIds && !dayIds.has(stage.dayId)) errors.push(`Stage "${stage.name}": unknown day "${stage.dayId}".`);
+        });
+        lists.acts?.forEach(act => errors.push(...this.validateAct(act, stageIds, teamIds)));
+        lists.members?.forEach(member => teamRefs(`Member "${member.name}"`, member.teamIds));
 
-        card.innerHTML = `
-            <div class="team-export-header">
-                <div class="team-export-title">Sendai Barbershop Festival</div>
-                <div class="team-export-subtitle">${subtitle} <strong>${title}</strong></div>
-                ${extraInfo ? `<div style="font-size:0.8rem; opacity:0.7; margin-top:4px">${extraInfo}</div>` : ''}
-            </div>
-            <div class="team-act-list">${actsHtml}</div>
-            <div class="team-export-footer">Generated on ${new Date().toLocaleDateString()}</div>
-        `;
+        return errors;
+    }
 
-        card.style.position = 'absolute';
-        card.style.top = '-9999px';
-        document.body.appendChild(card);
+    // Checks one act against the project's stage and team ids; a missing id set skips that check
+    validateAct(act, stageIds, teamIds) {
+        const errors = [];
+        // Hours 24-47 are past midnight of the act's day
+        const timePattern = /^([0-3]\d|4[0-7]):[0-5]\d$/;
 
-        try {
-            const canvas = await html2canvas(card, { backgroundColor: null, scale: 2 });
-            this.downloadImage(canvas, `SBF_Schedule_${title}`);
-        } catch (e) {
-            console.error(e);
-            alert('Gen failed');
-        } finally {
-            document.body.removeChild(card);
+        if (stageIds && !stageIds.has(act.stageId)) errors.push(`Act "${act.name}": unknown stage "${act.stageId}".`);
+        const validStart = timePattern.test(act.startTime);
+        const validEnd = timePattern.test(act.endTime);
+        if (!validStart) errors.push(`Act "${act.name}": invalid start time "${act.startTime}".`);
+        if (!validEnd) errors.push(`Act "${act.name}": invalid end time "${act.endTime}".`);
+        if (validStart && validEnd && this.toMinutes(act.endTime) <= this.toMinutes(act.startTime)) {
+            errors.push(`Act "${act.name}": ends before it starts.`);
+        }
+        if (!Array.isArray(act.teamIds)) {
+            errors.push(`Act "${act.name}": teams must be a list.`);
+        } else if (teamIds) {
+            act.teamIds.filter(id => !teamIds.has(id)).forEach(id => errors.push(`Act "${act.name}": unknown team "${id}".`));
+        }
+        if (act.color !== undefined && !/^#[0-9a-f]{6}$/i.test(act.color)) errors.push(`Act "${act.name}": invalid color "${act.color}".`);
+        ['location', 'contact', 'notes'].forEach(field => {
+            if (act[field] !== undefined && typeof act[field] !== 'string') errors.push(`Act "${act.name}": ${field} must be text.`);
+        });
+        if (act.visibility !== undefined && !['public', 'private'].includes(act.visibility)) {
+            errors.push(`Act "${act.name}": unknown visibility "${act.visibility}".`);
         }
+        return errors;
     }
 
-    downloadImage(canvas, filename) {
-        const link = document.createElement('a');
-        link.download = `${filename.replace(/[^a-z0-9]/gi, '_')}.png`;
-        link.href = canvas.toDataURL('image/png');
-        link.click();
+    /**
+     * Leaves out acts that fail validation so one bad entry can't break
+     * rendering. Returns how many were dropped.
+     */
+    dropInvalidActs(data) {
+        if (!Array.isArray(data.acts)) {
+            data.acts = [];
+            return 0;
+        }
+        const ids = (list) => new Set((Array.isArray(list) ? list : []).map(item => item?.id));
+        const stageIds = ids(data.stages);
+        const teamIds = ids(data.teams);
+        const count = data.acts.length;
+        data.acts = data.acts.filter(act =>
+            act && typeof act.id === 'string' && typeof act.name === 'string' &&
+            !this.validateAct(act, stageIds, teamIds).length
+        );
+        return count - data.acts.length;
     }
 
     // --- Project Data ---
 
-    handleSaveProject() {
-        const json = JSON.stringify(this.state, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
-        link.download = `SBF_Project_${new Date().toLocaleDateString().replace(/\//g, '-')}.json`;
+        link.download = filename;
         link.href = url;
         link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    handleSaveProject() {
+        const json = JSON.stringify(this.state, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        this.downloadBlob(blob, `${this.toFileName(`${this.getFilePrefix()}_Project_${new Date().toLocaleDateString().replace(/\//g, '-')}`)}.json`);
     }
 
     handleLoadProjectTrigger() {
@@ -1287,20 +4769,16 @@ class ScheduleApp {
     handleLoadProjectFile(e) {
         const file = e.target.files[0];
         if (!file) return;
-        if (!confirm('Replace current data?')) {
-            e.target.value = '';
-            return;
-        }
 
         const reader = new FileReader();
         reader.onload = (evt) => {
             try {
-                const parsed = JSON.parse(evt.target.result);
-                this.state = parsed;
-                this.saveState();
-                this.applyConfig();
-                this.renderAll();
-                alert('Project Loaded.');
+                const { data, errors } = this.prepareProject(JSON.parse(evt.target.result));
+                if (errors.length) {
+                    alert(`Project not loaded. ${errors.length} problem(s) found:\n${this.formatErrors(errors)}`);
+                } else {
+                    this.openImportModal(data, file.name);
+                }
             } catch (e) {
                 alert('Invalid File');
             }
@@ -1309,9 +4787,385 @@ class ScheduleApp {
         reader.readAsText(file);
     }
 
+    // --- Import / Merge ---
+
+    openImportModal(incoming, filename) {
+        this.pendingImport = {
+            data: incoming,
+            diff: this.diffProjects(this.state, incoming)
+        };
+        document.getElementById('import-filename').textContent = filename;
+        this.renderImportDiff();
+        this.openModal('import');
+    }
+
+    renderImportDiff() {
+        const { diff } = this.pendingImport;
+        const labels = { days: 'Days', stages: 'Stages', teams: 'Teams', acts: 'Acts', members: 'Members' };
+        const container = document.getElementById('import-diff');
+
+        const row = (key, kind, id, before, after, fields = []) => `
+            <tr class="import-row ${kind}">
+                <td><input type="checkbox" data-key="${key}" data-kind="${kind}" data-id="${id}" ${kind === 'removed' ? '' : 'checked'}></td>
+                <td class="import-kind">${{ added: 'New', changed: 'Changed', removed: 'Missing' }[kind]}</td>
+                <td>${before ? this.describeItem(key, before, fields) : '—'}</td>
+                <td>${after ? this.describeItem(key, after, fields) : '<em>remove</em>'}</td>
+            </tr>
+        `;
+
+        const sections = Object.entries(diff).map(([key, d]) => {
+            const rows = [
+                ...d.added.map(item => row(key, 'added', item.id, null, item)),
+                ...d.changed.map(c => row(key, 'changed', c.after.id, c.before, c.after, c.fields)),
+                ...d.removed.map(item => row(key, 'removed', item.id, item, null))
+            ];
+            if (!rows.length) return '';
+            return `
+                <h3 class="import-section-title">${labels[key]}</h3>
+                <table class="import-table">
+                    <thead><tr><th></th><th></th><th>Current</th><th>Incoming</th></tr></thead>
+                    <tbody>${rows.join('')}</tbody>
+                </table>
+            `;
+        }).join('');
+
+        container.innerHTML = sections || '<div style="text-align:center; padding: 20px; opacity:0.5">The file matches the current project.</div>';
+    }
+
+    describeItem(key, item, fields = []) {
+        const mark = (field, text) => fields.includes(field) ? `<mark>${text}</mark>` : text;
+        // Incoming items may reference teams that only exist in the file
+        const teams = [...(this.pendingImport?.data.teams || []), ...this.state.teams];
+        switch (key) {
+            case 'acts':
+                return `<strong>${mark('name', item.name)}</strong><br>` +
+                    `${mark('startTime', item.startTime)}-${mark('endTime', item.endTime)} · ${mark('stageId', this.getStage(item.stageId)?.name || item.stageId)}` +
+                    (item.teamIds.length ? `<br><small>${mark('teamIds', this.teamNames(item.teamIds, teams).join(', '))}</small>` : '');
+            case 'members':
+                return `<strong>${mark('name', item.name)}</strong><br><small>${mark('teamIds', this.teamNames(item.teamIds, teams).join(', '))}</small>`;
+            case 'teams':
+                return `<span class="team-swatch" style="background: ${item.color}"></span><strong>${mark('name', item.name)}</strong> · ${mark('type', item.type)}`;
+            case 'days':
+                return `<strong>${mark('name', item.name)}</strong>${item.date ? ` · ${mark('date', item.date)}` : ''}`;
+            default:
+                return `<strong>${mark('name', item.name)}</strong>${item.venue ? ` · ${mark('venue', item.venue)}` : ''}`;
+        }
+    }
+
+    handleImportReplace() {
+        if (!confirm('Replace current data?')) return;
+        this.state = this.pendingImport.data;
+        this.finishImport('Load project');
+    }
+
+    handleImportMerge() {
+        const { data } = this.pendingImport;
+        const merged = JSON.parse(JSON.stringify(this.state));
+
+        document.querySelectorAll('#import-diff input[type="checkbox"]:checked').forEach(box => {
+            const { key, kind, id } = box.dataset;
+            if (kind === 'removed') {
+                merged[key] = merged[key].filter(item => item.id !== id);
+                return;
+            }
+            const item = JSON.parse(JSON.stringify(data[key].find(i => i.id === id)));
+            const index = merged[key].findIndex(i => i.id === id);
+            if (index >= 0) merged[key][index] = item;
+            else merged[key].push(item);
+        });
+
+        // The selection can leave acts without their stage, and so on
+        const errors = this.validateProject(merged);
+        if (errors.length) {
+            alert(`This selection can't be merged:\n${this.formatErrors(errors)}`);
+            return;
+        }
+
+        this.state = merged;
+        this.finishImport('Merge project');
+    }
+
+    finishImport(label) {
+        this.pendingImport = null;
+        this.saveState(label);
+        this.applyConfig();
+        this.renderAll();
+        this.closeModal('import');
+    }
+
+    // --- CSV ---
+
+    openCsvModal() {
+        this.pendingCsv = null;
+        document.getElementById('csv-preview').innerHTML = '';
+        document.getElementById('csv-apply').disabled = true;
+        this.openModal('csv');
+    }
+
+    exportActsCsv() {
+        const rows = [['id', 'day', 'stage', 'name', 'teams', 'start', 'end', 'color']];
+        this.state.acts.forEach(act => {
+            const stage = this.getStage(act.stageId);
+            const day = stage && this.getDay(stage.dayId);
+            rows.push([act.id, day?.name || '', stage?.name || '', act.name, this.getActTeams(act).join(', '), act.startTime, act.endTime, act.color]);
+        });
+        this.downloadCsv(rows, `${this.getFilePrefix()}_Acts.csv`);
+    }
+
+    exportMembersCsv() {
+        const rows = [['id', 'name', 'teams']];
+        this.state.members.forEach(m => rows.push([m.id, m.name, this.getMemberTeams(m).join(', ')]));
+        this.downloadCsv(rows, `${this.getFilePrefix()}_Members.csv`);
+    }
+
+    downloadCsv(rows, filename) {
+        const escape = (value) => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const csv = rows.map(r => r.map(escape).join(',')).join('\r\n') + '\r\n';
+        // BOM so Excel opens Japanese text as UTF-8
+        const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+        this.downloadBlob(blob, filename);
+    }
+
+    parseCsv(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(cell => cell.trim()));
+    }
+
+    // UTF-8 first (with or without BOM); Excel's plain "CSV" on Japanese Windows is Shift_JIS
+    decodeCsv(buffer) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (e) {
+            return new TextDecoder('shift_jis').decode(buffer);
+        }
+    }
+
+    handleCsvFile(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        const type = document.getElementById('csv-type').value;
+
+        const reader = new FileReader();
+        reader.onload = (evt) => {
+            const rows = this.parseCsv(this.decodeCsv(evt.target.result));
+            this.pendingCsv = type === 'acts' ? this.buildActsImport(rows) : this.buildMembersImport(rows);
+            this.pendingCsv.type = type;
+            this.renderCsvPreview();
+            e.target.value = '';
+        };
+        reader.readAsArrayBuffer(file);
+    }
+
+    // Maps header names (English or Japanese) to column indexes
+    mapCsvHeader(header, fields) {
+        const aliases = {
+            id: ['id'],
+            day: ['day', '日', '日程'],
+            stage: ['stage', 'room', 'venue', 'ステージ', '会場'],
+            name: ['name', '名前', '名称', 'act'],
+            teams: ['teams', 'team', 'category', 'チーム'],
+            start: ['start', '開始'],
+            end: ['end', '終了'],
+            color: ['color', '色']
+        };
+        const normalized = header.map(h => h.trim().toLowerCase());
+        const map = {};
+        fields.forEach(f => {
+            const index = normalized.findIndex(h => aliases[f].includes(h));
+            if (index >= 0) map[f] = index;
+        });
+        return map;
+    }
+
+    normalizeCsvTime(value) {
+        const match = String(value).trim().match(/^(\d{1,2}):(\d{2})(:\d{2})?$/);
+        if (!match) return null;
+        const h = Number(match[1]);
+        const m = Number(match[2]);
+        if (h > 47 || m > 59) return null;
+        return `${String(h).padStart(2, '0')}:${match[2]}`;
+    }
+
+    buildActsImport(rows) {
+        const [header = [], ...body] = rows;
+        const col = this.mapCsvHeader(header, ['id', 'day', 'stage', 'name', 'teams', 'start', 'end', 'color']);
+        const missing = ['stage', 'name', 'start', 'end'].filter(f => col[f] === undefined);
+        if (missing.length) return { items: [], headerError: `Missing column(s): ${missing.join(', ')}` };
+
+        const cell = (r, f) => (col[f] !== undefined ? (r[col[f]] || '').trim() : '');
+        const items = body.map((r, i) => {
+            const errors = [];
+            const dayName = cell(r, 'day');
+            const stageName = cell(r, 'stage');
+
+            let stages = this.state.stages.filter(st => st.name === stageName);
+            if (dayName) stages = stages.filter(st => this.getDay(st.dayId)?.name === dayName);
+            if (!stages.length) errors.push(`Unknown stage "${[dayName, stageName].filter(Boolean).join(' / ')}"`);
+            else if (stages.length > 1) errors.push(`Stage "${stageName}" exists on several days; fill in the day column`);
+
+            const startTime = this.normalizeCsvTime(cell(r, 'start'));
+            let endTime = this.normalizeCsvTime(cell(r, 'end'));
+            if (!startTime) errors.push(`Invalid start "${cell(r, 'start')}"`);
+            if (!endTime) errors.push(`Invalid end "${cell(r, 'end')}"`);
+            // "22:30" to "01:00" runs past midnight
+            if (startTime && endTime && this.toMinutes(endTime) <= this.toMinutes(startTime) && this.toMinutes(endTime) < 1440) {
+                endTime = this.formatTime(this.toMinutes(endTime) + 1440);
+            }
+            // Same rule as the act form: after the start and inside the grid hours
+            const rangeError = startTime && endTime && this.getActRangeError({ startTime, endTime });
+            if (rangeError) errors.push(rangeError.replace(/\.$/, ''));
+
+            const name = cell(r, 'name');
+            if (!name) errors.push('Name is empty');
+
+            let color = cell(r, 'color');
+            if (color && !/^#[0-9a-f]{6}$/i.test(color)) errors.push(`Invalid color "${color}"`);
+            if (!color) color = this.getRandomColor();
+
+            const id = cell(r, 'id');
+            return {
+                line: i + 2,
+                errors,
+                existing: id && this.state.acts.some(a => a.id === id),
+                item: {
+                    id: id || `act-${Date.now()}-${i}`,
+                    stageId: stages.length === 1 ? stages[0].id : '',
+                    name,
+                    teams: this.parseTeams(cell(r, 'teams')),
+                    startTime,
+                    endTime,
+                    color
+                }
+            };
+        });
+        return { items };
+    }
+
+    buildMembersImport(rows) {
+        const [header = [], ...body] = rows;
+        const col = this.mapCsvHeader(header, ['id', 'name', 'teams']);
+        if (col.name === undefined) return { items: [], headerError: 'Missing column: name' };
+
+        const cell = (r, f) => (col[f] !== undefined ? (r[col[f]] || '').trim() : '');
+        const items = body.map((r, i) => {
+            const name = cell(r, 'name');
+            // Rows without an id update the member with the same name
+            const existing = this.state.members.find(m => m.id === cell(r, 'id')) || this.state.members.find(m => m.name === name);
+            return {
+                line: i + 2,
+                errors: name ? [] : ['Name is empty'],
+                existing: !!existing,
+                item: {
+                    id: existing ? existing.id : (cell(r, 'id') || `mem-${Date.now()}-${i}`),
+                    name,
+                    teams: this.parseTeams(cell(r, 'teams'))
+                }
+            };
+        });
+        return { items };
+    }
+
+    renderCsvPreview() {
+        const { items, headerError, type } = this.pendingCsv;
+        const container = document.getElementById('csv-preview');
+        const valid = items.filter(i => !i.errors.length);
+        document.getElementById('csv-apply').disabled = !valid.length;
+
+        if (headerError) {
+            container.innerHTML = `<div class="validation-errors">${headerError}</div>`;
+            return;
+        }
+
+        const describe = (item) => type === 'acts'
+            ? `${item.name} · ${item.startTime && item.endTime ? this.formatActTime(item) : '?'} · ${this.getStageLabel(this.getStage(item.stageId))}`
+            : `${item.name} · ${item.teams.join(', ')}`;
+
+        // Team names the registry doesn't know yet are created on import
+        const newTeams = [...new Set(valid.flatMap(i => i.item.teams))].filter(n => !this.findTeamByName(n));
+        const newTeamsHtml = newTeams.length
+            ? `<div style="font-size: 0.85rem; margin-bottom: 8px;">New team(s) will be created: ${newTeams.map(n => {
+                const similar = this.findSimilarTeam(n);
+                return similar ? `${n} <small class="diff-changed">(similar to "${similar.name}")</small>` : n;
+            }).join(', ')}</div>`
+            : '';
+
+        container.innerHTML = `
+            <div style="font-size: 0.85rem; margin-bottom: 8px;">${valid.length} of ${items.length} row(s) ready to import.</div>
+            ${newTeamsHtml}
+            <table class="import-table">
+                <thead><tr><th>Row</th><th></th><th>Data</th></tr></thead>
+                <tbody>${items.map(i => `
+                    <tr class="import-row ${i.errors.length ? 'removed' : i.existing ? 'changed' : 'added'}">
+                        <td>${i.line}</td>
+                        <td class="import-kind">${i.errors.length ? 'Error' : i.existing ? 'Update' : 'New'}</td>
+                        <td>${describe(i.item)}${i.errors.length ? `<br><small class="diff-removed">${i.errors.join('; ')}</small>` : ''}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    applyCsvImport() {
+        const { items, type } = this.pendingCsv;
+        const valid = items.filter(i => !i.errors.length);
+        if (valid.length < items.length && !confirm(`${items.length - valid.length} row(s) have errors and will be skipped. Continue?`)) return;
+
+        valid.forEach(({ item: { teams, ...item } }) => {
+            item.teamIds = this.resolveTeamIds(teams);
+            const list = this.state[type];
+            const index = list.findIndex(x => x.id === item.id);
+            if (index >= 0) list[index] = { ...list[index], ...item };
+            else list.push(item);
+        });
+
+        this.saveState(type === 'acts' ? 'Import acts CSV' : 'Import members CSV');
+        this.renderActs();
+        this.closeModal('csv');
+        alert(`Imported ${valid.length} row(s).`);
+    }
+
     handleReset() {
         if (confirm('Reset EVERYTHING? this cannot be undone.')) {
             localStorage.removeItem(this.CONFIG.storageKey);
+            localStorage.removeItem(this.CONFIG.historyKey);
             location.reload();
         }
     }
@@ -1323,41 +5177,127 @@ class ScheduleApp {
 
         // Buttons
         this.dom.buttons.addAct.onclick = () => this.openEditModal(null);
-        this.dom.buttons.addStage.onclick = () => this.addStage();
+        this.dom.buttons.addStage.onclick = () => this.openStageModal(null);
         this.dom.buttons.settings.onclick = () => this.openSettings();
         this.dom.buttons.members.onclick = () => this.openMembersModal();
+        this.dom.buttons.teams.onclick = () => this.openTeamsModal();
+        this.dom.buttons.conflicts.onclick = () => this.openConflictsModal();
+        this.dom.buttons.publish.onclick = () => this.openPublishModal();
 
         this.dom.buttons.export.onclick = () => this.handleGlobalExport();
         this.dom.buttons.exportTeam.onclick = () => this.openTeamExport();
         this.dom.buttons.exportMember.onclick = () => this.openIndividualExport();
+        this.dom.buttons.pdf.onclick = () => this.openPdfModal();
+        document.getElementById('pdf-generate').onclick = () => this.handlePdfExport();
+        document.getElementById('pdf-cancel').onclick = () => this.closeModal('pdf');
+        this.dom.buttons.batchExport.onclick = () => this.openBatchExport();
+        document.getElementById('batch-start').onclick = () => this.handleBatchExport();
+        document.getElementById('batch-cancel').onclick = () => this.cancelBatchExport();
 
         this.dom.buttons.save.onclick = () => this.handleSaveProject();
         this.dom.buttons.load.onclick = () => this.handleLoadProjectTrigger();
         this.dom.buttons.reset.onclick = () => this.handleReset();
+        this.dom.buttons.undo.onclick = () => this.undo();
+        this.dom.buttons.redo.onclick = () => this.redo();
+        document.addEventListener('keydown', (e) => this.handleHistoryKeys(e));
+        document.addEventListener('keydown', (e) => this.handleModalKeys(e));
+        document.addEventListener('keydown', (e) => this.handleSelectionKeys(e));
+
+        // Selection & clipboard
+        this.dom.stagesContainer.addEventListener('pointerdown', (e) => this.handleLassoStart(e));
+        this.dom.stagesContainer.addEventListener('pointermove', (e) => {
+            this.pointer = { clientX: e.clientX, clientY: e.clientY };
+        });
+        this.dom.stagesContainer.addEventListener('pointerleave', () => { this.pointer = null; });
+        document.getElementById('selection-duplicate').onclick = () => this.duplicateActs();
+        document.getElementById('selection-copy').onclick = () => this.copyActs();
+        document.getElementById('selection-paste').onclick = () => this.pasteActs();
+        document.getElementById('selection-earlier').onclick = () => this.shiftSelection(-this.getShiftMinutes());
+        document.getElementById('selection-later').onclick = () => this.shiftSelection(this.getShiftMinutes());
+        document.getElementById('selection-color').onchange = (e) => this.recolorSelection(e.target.value);
+        document.getElementById('selection-teams').onclick = () => this.openBulkTeams();
+        document.getElementById('selection-delete').onclick = () => this.deleteSelection();
+        document.getElementById('selection-clear').onclick = () => this.clearSelection();
+        this.dom.forms.bulkTeams.onsubmit = (e) => this.handleBulkTeamsSubmit(e);
+        document.getElementById('bulk-teams-cancel').onclick = () => this.closeModal('bulkTeams');
 
         this.dom.inputs.upload.onchange = (e) => this.handleLoadProjectFile(e);
+        document.getElementById('import-cancel').onclick = () => this.closeModal('import');
+        document.getElementById('import-replace').onclick = () => this.handleImportReplace();
+        document.getElementById('import-merge').onclick = () => this.handleImportMerge();
+        document.getElementById('import-select-all').onchange = (e) => {
+            document.querySelectorAll('#import-diff input[type="checkbox"]').forEach(box => { box.checked = e.target.checked; });
+        };
+
+        // CSV
+        this.dom.buttons.csv.onclick = () => this.openCsvModal();
+        this.dom.inputs.csvUpload.onchange = (e) => this.handleCsvFile(e);
+        document.getElementById('csv-export-acts').onclick = () => this.exportActsCsv();
+        document.getElementById('csv-export-members').onclick = () => this.exportMembersCsv();
+        document.getElementById('csv-choose').onclick = () => this.dom.inputs.csvUpload.click();
+        document.getElementById('csv-apply').onclick = () => this.applyCsvImport();
+        document.getElementById('csv-cancel').onclick = () => this.closeModal('csv');
 
         // Modals
         this.dom.forms.act.onsubmit = (e) => this.handleActSubmit(e);
         document.getElementById('modal-cancel').onclick = () => this.closeModal('edit');
         document.getElementById('modal-delete').onclick = () => this.handleActDelete();
+        // Unsaved edits (often the overrunning end time) are saved before shifting
+        document.getElementById('modal-ripple').onclick = () => {
+            const id = document.getElementById('act-id').value;
+            if (!this.saveActForm()) return;
+            const act = this.state.acts.find(a => a.id === id);
+            if (act) this.openRippleModal(act);
+        };
+        this.dom.forms.ripple.onsubmit = (e) => this.handleRippleSubmit(e);
+        this.dom.forms.ripple.oninput = () => this.renderRipplePreview();
+        document.getElementById('ripple-close-gap').onclick = () => this.closeRippleGap();
+        document.getElementById('ripple-cancel').onclick = () => this.closeModal('ripple');
 
         this.dom.forms.settings.onsubmit = (e) => this.handleSettingsSubmit(e);
         document.getElementById('settings-cancel').onclick = () => this.closeModal('settings');
+        document.getElementById('branding-logo').onchange = (e) => this.handleLogoChange(e);
+        document.getElementById('branding-logo-remove').onclick = () => {
+            this.pendingLogo = '';
+            this.renderLogoPreview();
+        };
+
+        this.dom.forms.day.onsubmit = (e) => this.handleDaySubmit(e);
+        document.getElementById('day-cancel').onclick = () => this.closeModal('day');
+
+        this.dom.forms.stage.onsubmit = (e) => this.handleStageSubmit(e);
+        document.getElementById('stage-cancel').onclick = () => this.closeModal('stage');
+
+        // Conflicts
+        document.getElementById('conflicts-close').onclick = () => this.closeModal('conflicts');
+
+        // Publish
+        document.getElementById('publish-include-members').onchange = () => this.handlePublishOptionChange();
+        document.getElementById('publish-download').onclick = () => this.handlePublishDownload();
+        document.getElementById('publish-cancel').onclick = () => this.closeModal('publish');
 
         // Team Export
         this.dom.forms.teamExport.onsubmit = (e) => this.handleTeamExportSubmit(e);
         document.getElementById('team-export-cancel').onclick = () => this.closeModal('teamExport');
+        document.getElementById('team-export-ics').onclick = () => this.handleTeamIcsExport();
 
         // Individual Export
         this.dom.forms.individualExport.onsubmit = (e) => this.handleIndividualExportSubmit(e);
         document.getElementById('individual-export-cancel').onclick = () => this.closeModal('individualExport');
+        document.getElementById('individual-export-ics').onclick = () => this.handleIndividualIcsExport();
 
         // Members
         this.dom.forms.member.onsubmit = (e) => this.handleMemberSubmit(e);
         document.getElementById('member-delete').onclick = () => this.handleMemberDelete();
         document.getElementById('member-clear').onclick = () => this.clearMemberForm();
         document.getElementById('members-close').onclick = () => this.closeModal('members');
+
+        // Teams
+        this.dom.forms.team.onsubmit = (e) => this.handleTeamSubmit(e);
+        document.getElementById('team-delete').onclick = () => this.handleTeamDelete();
+        document.getElementById('team-clear').onclick = () => this.clearTeamForm();
+        document.getElementById('teams-close').onclick = () => this.closeModal('teams');
+        document.querySelectorAll('.team-picker').forEach(picker => this.initTeamPicker(picker));
     }
 }
 